@@ -0,0 +1,161 @@
+/**
+ * @typedef {Object} ClockOptions
+ * @property {boolean} [hour12] - Whether to show 12 hour time with AM and PM. Defaults to the locale's choice
+ * @property {boolean} [seconds] - Whether to show the seconds. Defaults to true
+ * @property {string} [locale] - The locale the time and date are written for, e.g. 'en-GB'. Defaults to the browser's
+ * @property {string} [timeZone] - The IANA time zone shown, e.g. 'Europe/London'. Defaults to the computer's
+ */
+
+/** @type {ClockOptions} - Options used where none are given */
+const DEFAULT_OPTIONS = {
+  hour12: undefined,
+  seconds: true,
+  locale: undefined,
+  timeZone: undefined
+}
+
+/**
+ * A clock showing the real time, for the taskbar tray and Date/Time Properties.
+ * Every tick reads the time afresh and is scheduled for the start of the next second,
+ * so the clock stays right through tab throttling and sleep. Hovering shows the date.
+ * @class Clock
+ * @public
+ */
+export default class Clock {
+  /**
+   * @private
+   * @type {number|null} - The timeout of the next tick
+   */
+  #timeout = null
+
+  /**
+   * @private
+   * @type {Intl.DateTimeFormat}
+   */
+  #timeFormat
+
+  /**
+   * @private
+   * @type {Intl.DateTimeFormat}
+   */
+  #dateFormat
+
+  /**
+   * @param {ClockOptions} [options] - How the time is shown
+   * @param {function(): Date} [now] - Reads the current time
+   */
+  constructor (options = {}, now = () => new Date()) {
+    this.now = now
+
+    /** @type {HTMLDivElement} */
+    this.element = document.createElement('div')
+    this.element.className = 'taskbar-clock'
+    this.element.style.cssText = `
+      font-size: 0.75rem;
+      color: var(--taskbar-text);
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    `
+
+    this.onVisibilityChange = this.onVisibilityChange.bind(this)
+    this.setOptions(options)
+    this.start()
+  }
+
+  /**
+   * Change how the time is shown.
+   * @param {ClockOptions} options - The options to change
+   * @throws {RangeError} If the locale or time zone isn't known
+   */
+  setOptions (options) {
+    const merged = { ...DEFAULT_OPTIONS, ...this.options, ...options }
+    // Checked before anything changes, so a bad time zone leaves the clock as it was
+    const timeFormat = new Intl.DateTimeFormat(merged.locale, {
+      hour: 'numeric',
+      minute: '2-digit',
+      second: merged.seconds ? '2-digit' : undefined,
+      hour12: merged.hour12,
+      timeZone: merged.timeZone
+    })
+    const dateFormat = new Intl.DateTimeFormat(merged.locale, {
+      dateStyle: 'full',
+      timeZone: merged.timeZone
+    })
+
+    /** @type {ClockOptions} */
+    this.options = merged
+    this.#timeFormat = timeFormat
+    this.#dateFormat = dateFormat
+    this.update()
+  }
+
+  /**
+   * The time, written out with the clock's options.
+   * @param {Date} [date] - The time. Defaults to now
+   * @returns {string}
+   */
+  formatTime (date = this.now()) {
+    return this.#timeFormat.format(date)
+  }
+
+  /**
+   * The date, written out in full with the clock's locale and time zone.
+   * @param {Date} [date] - The date. Defaults to now
+   * @returns {string}
+   */
+  formatDate (date = this.now()) {
+    return this.#dateFormat.format(date)
+  }
+
+  /**
+   * Show the current time and date.
+   */
+  update () {
+    const now = this.now()
+    this.element.textContent = this.formatTime(now)
+    this.element.title = this.formatDate(now)
+  }
+
+  /**
+   * Start ticking.
+   */
+  start () {
+    if (this.#timeout !== null) return
+    document.addEventListener('visibilitychange', this.onVisibilityChange)
+    this.#schedule()
+  }
+
+  /**
+   * Stop ticking.
+   */
+  stop () {
+    clearTimeout(this.#timeout)
+    this.#timeout = null
+    document.removeEventListener('visibilitychange', this.onVisibilityChange)
+  }
+
+  /**
+   * Schedule the next tick for the start of the next second.
+   * @private
+   */
+  #schedule () {
+    this.#timeout = setTimeout(() => {
+      this.update()
+      this.#schedule()
+    }, 1000 - (this.now().getTime() % 1000))
+  }
+
+  /**
+   * Catch up straight away when the page is shown again, since hidden pages tick rarely if at all.
+   * @private
+   */
+  onVisibilityChange () {
+    if (document.visibilityState !== 'visible') return
+    clearTimeout(this.#timeout)
+    this.update()
+    this.#schedule()
+  }
+}
+
+export { Clock }
@@ -0,0 +1,150 @@
+import Menu from './Menu.js'
+/** @import {MenuItem} from './Menu.js' */
+
+/**
+ * Builds the items of a context menu for the clicked target.
+ * Returning an empty list or nothing adds no items.
+ * @callback ContextMenuProvider
+ * @param {object} context - Details of the clicked target, e.g. the window or icon
+ * @returns {MenuItem[]|void}
+ */
+
+/**
+ * Right-click menus for parts of the environment. Each kind of target - the desktop,
+ * icons, title bars, taskbar buttons - gets its items from the providers registered for it,
+ * with a separator between the items of each provider.
+ * @class ContextMenu
+ * @public
+ */
+export default class ContextMenu {
+  /**
+   * @private
+   * @type {Map<string, ContextMenuProvider[]>} - Providers by target name
+   */
+  #providers = new Map()
+
+  /**
+   * @private
+   * @type {Menu}
+   */
+  #menu
+
+  /**
+   * @param {HTMLElement} [container] - Element the menu panels are appended to
+   */
+  constructor (container = document.body) {
+    this.#menu = new Menu([], {
+      container,
+      onClose: () => document.removeEventListener('pointerdown', this.onOutsideClick, true)
+    })
+
+    this.onOutsideClick = this.onOutsideClick.bind(this)
+  }
+
+  /**
+   * Whether a context menu is open.
+   * @returns {boolean}
+   */
+  get isOpen () {
+    return this.#menu.isOpen
+  }
+
+  /**
+   * Add a provider of items for a kind of target.
+   * @param {string} target - The target name, e.g. 'desktop', 'icon', 'titlebar' or 'taskbar'
+   * @param {ContextMenuProvider} provider - Builds the items
+   * @returns {Function} - Removes the provider
+   */
+  register (target, provider) {
+    if (typeof provider !== 'function') throw new Error('Context menu providers must be functions')
+    if (!this.#providers.has(target)) this.#providers.set(target, [])
+    this.#providers.get(target).push(provider)
+
+    return () => {
+      const providers = this.#providers.get(target)
+      const index = providers?.indexOf(provider) ?? -1
+      if (index !== -1) providers.splice(index, 1)
+    }
+  }
+
+  /**
+   * Open the target's context menu when an element is right-clicked,
+   * or when the menu key or Shift+F10 is pressed while it has focus.
+   * @param {HTMLElement} element - The element to listen on
+   * @param {string} target - The target name
+   * @param {function(MouseEvent): (object|null)} getContext - Details passed to the providers.
+   * Returning null leaves the browser's own menu alone
+   * @returns {Function} - Removes the listener
+   */
+  attach (element, target, getContext) {
+    const onContextMenu = event => {
+      const context = getContext(event)
+      if (!context) return
+      event.preventDefault()
+      event.stopPropagation()
+
+      // Keyboard opened menus have no pointer position, so they open at the element
+      const fromKeyboard = event.clientX === 0 && event.clientY === 0
+      const rect = element.getBoundingClientRect()
+      const opened = fromKeyboard
+        ? this.open(target, context, rect.left, rect.bottom)
+        : this.open(target, context, event.clientX, event.clientY)
+      if (opened && fromKeyboard) this.#menu.moveHighlight(1)
+    }
+
+    element.addEventListener('contextmenu', onContextMenu)
+    return () => element.removeEventListener('contextmenu', onContextMenu)
+  }
+
+  /**
+   * Collect the items of every provider of a target.
+   * @param {string} target - The target name
+   * @param {object} context - Details of the clicked target
+   * @returns {MenuItem[]}
+   */
+  getItems (target, context) {
+    const groups = (this.#providers.get(target) || [])
+      .map(provider => provider(context) || [])
+      .filter(items => items.length > 0)
+
+    return groups.flatMap((items, index) => index === 0 ? items : [{ separator: true }, ...items])
+  }
+
+  /**
+   * Open the context menu of a target.
+   * @param {string} target - The target name
+   * @param {object} context - Details of the clicked target
+   * @param {number} x - The x position in px
+   * @param {number} y - The y position in px
+   * @returns {boolean} - Whether there were items to show
+   */
+  open (target, context, x, y) {
+    this.close()
+    const items = this.getItems(target, context)
+    if (items.length === 0) return false
+
+    this.#menu.setItems(items)
+    this.#menu.open(x, y)
+    document.addEventListener('pointerdown', this.onOutsideClick, true)
+    return true
+  }
+
+  /**
+   * Close the open context menu.
+   */
+  close () {
+    this.#menu.close()
+  }
+
+  /**
+   * Close the menu when clicking anywhere outside of it.
+   * @private
+   * @param {PointerEvent} event - The pointerdown event
+   */
+  onOutsideClick (event) {
+    if (this.#menu.contains(event.target)) return
+    this.close()
+  }
+}
+
+export { ContextMenu }
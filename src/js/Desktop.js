@@ -0,0 +1,554 @@
+/** @import {Icon} from './Icon.js' */
+
+/**
+ * Saved icon positions by icon id. Renamed icons keep their new title,
+ * and deleted icons are kept out of the desktop.
+ * @typedef {Object.<string, {x?: number, y?: number, title?: string, deleted?: boolean}>} IconLayout
+ */
+
+/** @type {{x: number, y: number}} - Position of the top-left grid cell, below the taskbar */
+const GRID_ORIGIN = { x: 20, y: 50 }
+
+/** @type {{width: number, height: number}} - Size of a grid cell, in px */
+const GRID_CELL = { width: 110, height: 125 }
+
+/** @type {number} - How far a pointer has to move before an icon press becomes a drag, in px */
+const DRAG_THRESHOLD = 4
+
+/**
+ * The desktop icons - placing them on a grid, dragging them around,
+ * selecting them with clicks or a rubber band, and arranging them.
+ * @class Desktop
+ * @public
+ */
+export default class Desktop {
+  /**
+   * @private
+   * @type {function(): void} - Called when the icon layout changes
+   */
+  #onChange
+
+  /**
+   * @private
+   * @type {IconLayout} - Saved positions, used when an icon with a saved position is added
+   */
+  #savedLayout = {}
+
+  /**
+   * @private
+   * @type {Icon|null} - The icon Shift-click ranges start from
+   */
+  #anchor = null
+
+  /**
+   * @private
+   * @type {Set<string>} - Ids of the icons deleted from the desktop
+   */
+  #deleted = new Set()
+
+  /**
+   * @private
+   * @type {{icon: Icon, pointerId: number, startX: number, startY: number, origins: Map<Icon, {x: number, y: number}>, dragging: boolean}|null}
+   */
+  #drag = null
+
+  /**
+   * @private
+   * @type {{pointerId: number, startX: number, startY: number, initial: Set<Icon>, element: HTMLElement}|null}
+   */
+  #band = null
+
+  /**
+   * @param {HTMLElement} container - The element the icons are placed in
+   * @param {function(): void} onChange - Called when icons are moved or arranged
+   */
+  constructor (container, onChange) {
+    this.container = container
+    this.#onChange = onChange
+
+    /**
+     * A Map of icons by id
+     * @type {Map<string, Icon>}
+     */
+    this.icons = new Map()
+
+    /**
+     * The selected icons
+     * @type {Set<Icon>}
+     */
+    this.selection = new Set()
+
+    this.container.style.touchAction = 'none'
+    this.container.addEventListener('pointerdown', (e) => this.onContainerPointerDown(e))
+    this.container.addEventListener('pointermove', (e) => this.onPointerMove(e))
+    this.container.addEventListener('pointerup', (e) => this.onPointerUp(e))
+    this.container.addEventListener('pointercancel', (e) => this.onPointerUp(e))
+  }
+
+  /**
+   * Place an icon on the desktop, in the free grid cell nearest to its saved or requested position.
+   * @param {Icon} icon - The icon to add
+   * @param {number} [x] - The requested x-coordinate in px
+   * @param {number} [y] - The requested y-coordinate in px
+   * @returns {boolean} - Whether the icon was added, rather than kept out as deleted
+   */
+  add (icon, x = GRID_ORIGIN.x, y = GRID_ORIGIN.y) {
+    if (this.#deleted.has(icon.id)) return false
+    if (this.icons.has(icon.id)) this.remove(icon.id)
+
+    const saved = this.#savedLayout[icon.id]
+    if (saved?.title) icon.setTitle(saved.title)
+    const cell = this.findFreeCell(this.cellAt(saved?.x ?? x, saved?.y ?? y))
+    icon.setPosition(...this.cellPosition(cell))
+    icon.element.addEventListener('pointerdown', (e) => this.onIconPointerDown(e, icon))
+
+    this.icons.set(icon.id, icon)
+    this.container.appendChild(icon.element)
+    return true
+  }
+
+  /**
+   * Remove an icon from the desktop.
+   * @param {string} id - The icon id
+   * @returns {boolean} - Whether an icon was removed
+   */
+  remove (id) {
+    const icon = this.icons.get(id)
+    if (!icon) return false
+    icon.element.remove()
+    this.icons.delete(id)
+    this.selection.delete(icon)
+    if (this.#anchor === icon) this.#anchor = null
+    return true
+  }
+
+  /**
+   * Delete an icon from the desktop. It stays deleted when the saved layout is restored.
+   * @param {string} id - The icon id
+   * @returns {boolean} - Whether an icon was deleted
+   */
+  delete (id) {
+    if (!this.remove(id)) return false
+    this.#deleted.add(id)
+    this.#onChange()
+    return true
+  }
+
+  /**
+   * Whether any icons have been deleted.
+   * @returns {boolean}
+   */
+  get hasDeleted () {
+    return this.#deleted.size > 0
+  }
+
+  /**
+   * Stop keeping deleted icons out of the desktop, so they can be added again.
+   * @returns {string[]} - Ids of the icons that were deleted
+   */
+  restoreDeleted () {
+    const ids = Array.from(this.#deleted)
+    this.#deleted.clear()
+    this.#onChange()
+    return ids
+  }
+
+  /**
+   * Let the user rename an icon in place.
+   * @param {string} id - The icon id
+   * @returns {Promise<boolean>} - Whether the icon was renamed
+   */
+  async rename (id) {
+    const icon = this.icons.get(id)
+    if (!icon) return false
+    const title = await icon.editTitle()
+    if (!title || title === icon.title) return false
+    icon.setTitle(title)
+    this.#onChange()
+    return true
+  }
+
+  /**
+   * Move icons left outside of the grid, e.g. after the viewport shrank, back onto it.
+   */
+  refresh () {
+    this.clearSelection()
+    const columns = this.columns
+    const rows = this.rows
+    const outside = Array.from(this.icons.values()).filter(icon => {
+      const column = Math.round((icon.x - GRID_ORIGIN.x) / GRID_CELL.width)
+      const row = Math.round((icon.y - GRID_ORIGIN.y) / GRID_CELL.height)
+      return column >= columns || row >= rows
+    })
+    if (outside.length === 0) return
+
+    const pending = new Set(outside)
+    outside.forEach(icon => {
+      pending.delete(icon)
+      const cell = this.findFreeCell(this.cellAt(icon.x, icon.y), new Set([icon, ...pending]))
+      icon.setPosition(...this.cellPosition(cell))
+    })
+    this.#onChange()
+  }
+
+  /**
+   * The number of grid rows that fit in the container.
+   * @returns {number}
+   */
+  get rows () {
+    const height = this.container.clientHeight || window.innerHeight
+    return Math.max(1, Math.floor((height - GRID_ORIGIN.y) / GRID_CELL.height))
+  }
+
+  /**
+   * The number of grid columns that fit in the container.
+   * @returns {number}
+   */
+  get columns () {
+    const width = this.container.clientWidth || window.innerWidth
+    return Math.max(1, Math.floor((width - GRID_ORIGIN.x) / GRID_CELL.width))
+  }
+
+  /**
+   * The grid cell nearest to a position.
+   * @param {number} x - The x-coordinate in px
+   * @param {number} y - The y-coordinate in px
+   * @returns {{column: number, row: number}}
+   */
+  cellAt (x, y) {
+    return {
+      column: Math.max(0, Math.min(Math.round((x - GRID_ORIGIN.x) / GRID_CELL.width), this.columns - 1)),
+      row: Math.max(0, Math.min(Math.round((y - GRID_ORIGIN.y) / GRID_CELL.height), this.rows - 1))
+    }
+  }
+
+  /**
+   * The position of a grid cell.
+   * @param {{column: number, row: number}} cell - The grid cell
+   * @returns {[number, number]} - The x and y-coordinates in px
+   */
+  cellPosition ({ column, row }) {
+    return [GRID_ORIGIN.x + column * GRID_CELL.width, GRID_ORIGIN.y + row * GRID_CELL.height]
+  }
+
+  /**
+   * Find the free grid cell nearest to a cell.
+   * @private
+   * @param {{column: number, row: number}} cell - The preferred grid cell
+   * @param {Set<Icon>} [ignore] - Icons whose cells count as free
+   * @returns {{column: number, row: number}}
+   */
+  findFreeCell (cell, ignore = new Set()) {
+    const taken = new Set()
+    this.icons.forEach(icon => {
+      if (ignore.has(icon)) return
+      const { column, row } = this.cellAt(icon.x, icon.y)
+      taken.add(`${column},${row}`)
+    })
+
+    // Walk outwards ring by ring, so the nearest free cell wins
+    const limit = Math.max(this.columns, this.rows) + this.icons.size
+    for (let distance = 0; distance <= limit; distance++) {
+      for (let dc = -distance; dc <= distance; dc++) {
+        for (let dr = -distance; dr <= distance; dr++) {
+          if (Math.max(Math.abs(dc), Math.abs(dr)) !== distance) continue
+          const column = cell.column + dc
+          const row = cell.row + dr
+          if (column < 0 || row < 0 || row >= this.rows) continue
+          if (!taken.has(`${column},${row}`)) return { column, row }
+        }
+      }
+    }
+    return cell
+  }
+
+  /**
+   * Select an icon.
+   * @param {Icon} icon - The icon to select
+   * @param {'replace'|'toggle'|'range'} [mode] - Whether to replace the selection, toggle the icon in it,
+   * or select every icon between the last clicked one and this one
+   */
+  select (icon, mode = 'replace') {
+    if (mode === 'toggle') {
+      this.setSelected(icon, !this.selection.has(icon))
+      this.#anchor = icon
+      return
+    }
+
+    if (mode === 'range' && this.#anchor && this.icons.has(this.#anchor.id)) {
+      const ordered = this.orderedIcons()
+      const from = ordered.indexOf(this.#anchor)
+      const to = ordered.indexOf(icon)
+      const [start, end] = from < to ? [from, to] : [to, from]
+      this.clearSelection()
+      ordered.slice(start, end + 1).forEach(item => this.setSelected(item, true))
+      return
+    }
+
+    this.clearSelection()
+    this.setSelected(icon, true)
+    this.#anchor = icon
+  }
+
+  /**
+   * Deselect every icon.
+   */
+  clearSelection () {
+    Array.from(this.selection).forEach(icon => this.setSelected(icon, false))
+  }
+
+  /**
+   * @private
+   * @param {Icon} icon - The icon
+   * @param {boolean} selected - Whether the icon is selected
+   */
+  setSelected (icon, selected) {
+    if (selected) this.selection.add(icon)
+    else this.selection.delete(icon)
+    icon.setSelected(selected)
+  }
+
+  /**
+   * The icons in grid order - down each column, then across.
+   * @returns {Icon[]}
+   */
+  orderedIcons () {
+    return Array.from(this.icons.values()).sort((a, b) => {
+      const cellA = this.cellAt(a.x, a.y)
+      const cellB = this.cellAt(b.x, b.y)
+      return cellA.column - cellB.column || cellA.row - cellB.row
+    })
+  }
+
+  /**
+   * Place the icons in grid cells down each column, in the given order.
+   * @private
+   * @param {Icon[]} icons - The icons in order
+   */
+  placeInOrder (icons) {
+    const rows = this.rows
+    icons.forEach((icon, index) => {
+      icon.setPosition(...this.cellPosition({ column: Math.floor(index / rows), row: index % rows }))
+    })
+    this.#onChange()
+  }
+
+  /**
+   * Arrange the icons by name, down each column from the top-left.
+   */
+  arrangeByName () {
+    const icons = Array.from(this.icons.values())
+      .sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }))
+    this.placeInOrder(icons)
+  }
+
+  /**
+   * Line the icons up - move each one to the free grid cell nearest to it.
+   */
+  lineUp () {
+    const placed = new Set(this.icons.values())
+    this.orderedIcons().forEach(icon => {
+      placed.delete(icon)
+      const cell = this.findFreeCell(this.cellAt(icon.x, icon.y), placed)
+      icon.setPosition(...this.cellPosition(cell))
+      placed.add(icon)
+    })
+    this.#onChange()
+  }
+
+  /**
+   * Get the icon positions, to be saved.
+   * @returns {IconLayout}
+   */
+  getLayout () {
+    const layout = {}
+    this.icons.forEach((icon, id) => {
+      layout[id] = icon.title === id ? { x: icon.x, y: icon.y } : { x: icon.x, y: icon.y, title: icon.title }
+    })
+    this.#deleted.forEach(id => { layout[id] = { deleted: true } })
+    return layout
+  }
+
+  /**
+   * Move icons to saved positions. Icons added later are placed at their saved position too.
+   * @param {IconLayout} layout - The saved positions
+   */
+  applyLayout (layout) {
+    if (!layout || typeof layout !== 'object') return
+    this.#savedLayout = layout
+
+    Object.entries(layout).forEach(([id, entry]) => {
+      if (!entry?.deleted) return
+      this.#deleted.add(id)
+      this.remove(id)
+    })
+
+    const icons = Array.from(this.icons.values()).filter(icon => layout[icon.id])
+    const moving = new Set(icons)
+    icons.forEach(icon => {
+      const { x, y, title } = layout[icon.id]
+      if (typeof title === 'string' && title) icon.setTitle(title)
+      if (typeof x !== 'number' || typeof y !== 'number') return
+      moving.delete(icon)
+      const cell = this.findFreeCell(this.cellAt(x, y), new Set([icon, ...moving]))
+      icon.setPosition(...this.cellPosition(cell))
+    })
+  }
+
+  /**
+   * Select an icon and get ready to drag the selection.
+   * @private
+   * @param {PointerEvent} event - The pointerdown event
+   * @param {Icon} icon - The pressed icon
+   */
+  onIconPointerDown (event, icon) {
+    // Right-clicking an icon selects it for its context menu, without starting a drag
+    if (event.button === 2 && !this.selection.has(icon)) this.select(icon)
+    if (event.button !== 0) return
+    event.stopPropagation()
+
+    if (event.ctrlKey || event.metaKey) this.select(icon, 'toggle')
+    else if (event.shiftKey) this.select(icon, 'range')
+    else if (!this.selection.has(icon)) this.select(icon)
+    else this.#anchor = icon
+
+    // Ctrl-clicking an icon out of the selection doesn't drag it
+    if (!this.selection.has(icon)) return
+
+    const origins = new Map()
+    this.selection.forEach(item => origins.set(item, { x: item.x, y: item.y }))
+    this.#drag = {
+      icon,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      origins,
+      dragging: false
+    }
+    icon.element.setPointerCapture?.(event.pointerId)
+  }
+
+  /**
+   * Start a rubber band selection on the empty desktop.
+   * @private
+   * @param {PointerEvent} event - The pointerdown event
+   */
+  onContainerPointerDown (event) {
+    if (event.target !== this.container) return
+    if (event.button === 2) this.clearSelection()
+    if (event.button !== 0) return
+
+    const additive = event.ctrlKey || event.shiftKey || event.metaKey
+    if (!additive) this.clearSelection()
+
+    const element = document.createElement('div')
+    element.id = 'icon-selection-band'
+    element.style.cssText = `
+      position: absolute;
+      display: none;
+      border: 1px dotted var(--selection-border);
+      background-color: var(--selection-overlay);
+      pointer-events: none;
+    `
+    this.container.appendChild(element)
+
+    this.#band = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      initial: new Set(this.selection),
+      element
+    }
+    this.container.setPointerCapture?.(event.pointerId)
+  }
+
+  /**
+   * @private
+   * @param {PointerEvent} event - The pointermove event
+   */
+  onPointerMove (event) {
+    if (this.#drag?.pointerId === event.pointerId) this.dragIcons(event)
+    else if (this.#band?.pointerId === event.pointerId) this.updateBand(event)
+  }
+
+  /**
+   * Move the dragged icons along with the pointer.
+   * @private
+   * @param {PointerEvent} event - The pointermove event
+   */
+  dragIcons (event) {
+    const drag = this.#drag
+    const dx = event.clientX - drag.startX
+    const dy = event.clientY - drag.startY
+    if (!drag.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return
+    drag.dragging = true
+
+    const maxX = (this.container.clientWidth || window.innerWidth) - drag.icon.element.offsetWidth
+    const maxY = (this.container.clientHeight || window.innerHeight) - drag.icon.element.offsetHeight
+    drag.origins.forEach((origin, icon) => {
+      icon.setPosition(
+        Math.max(0, Math.min(origin.x + dx, maxX)),
+        Math.max(0, Math.min(origin.y + dy, maxY))
+      )
+    })
+  }
+
+  /**
+   * Resize the rubber band and select the icons it touches.
+   * @private
+   * @param {PointerEvent} event - The pointermove event
+   */
+  updateBand (event) {
+    const band = this.#band
+    const bounds = this.container.getBoundingClientRect()
+    const left = Math.min(band.startX, event.clientX)
+    const top = Math.min(band.startY, event.clientY)
+    const right = Math.max(band.startX, event.clientX)
+    const bottom = Math.max(band.startY, event.clientY)
+
+    Object.assign(band.element.style, {
+      display: 'block',
+      left: `${left - bounds.left}px`,
+      top: `${top - bounds.top}px`,
+      width: `${right - left}px`,
+      height: `${bottom - top}px`
+    })
+
+    this.icons.forEach(icon => {
+      const rect = icon.element.getBoundingClientRect()
+      const touched = rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top
+      this.setSelected(icon, touched || band.initial.has(icon))
+    })
+  }
+
+  /**
+   * Drop the dragged icons onto the grid, or finish the rubber band.
+   * @private
+   * @param {PointerEvent} event - The pointerup or pointercancel event
+   */
+  onPointerUp (event) {
+    const drag = this.#drag
+    if (drag?.pointerId === event.pointerId) {
+      this.#drag = null
+      if (!drag.dragging) return
+
+      // Snap the icon under the pointer first, so it gets the cell it was dropped on
+      const dropped = [drag.icon, ...Array.from(drag.origins.keys()).filter(icon => icon !== drag.icon)]
+      const pending = new Set(dropped)
+      dropped.forEach(icon => {
+        pending.delete(icon)
+        const cell = this.findFreeCell(this.cellAt(icon.x, icon.y), new Set([icon, ...pending]))
+        icon.setPosition(...this.cellPosition(cell))
+      })
+      this.#onChange()
+      return
+    }
+
+    if (this.#band?.pointerId === event.pointerId) {
+      this.#band.element.remove()
+      this.#band = null
+    }
+  }
+}
+
+export { Desktop }
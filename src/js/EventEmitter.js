@@ -0,0 +1,138 @@
+/**
+ * Called with the data of an event, and its name for listeners of a wildcard.
+ * @callback EventListener
+ * @param {*} data - The data the event was emitted with
+ * @param {string} event - The name of the emitted event
+ * @returns {void}
+ */
+
+/**
+ * Removes the listener it was returned for.
+ * @callback Unsubscribe
+ * @returns {void}
+ */
+
+/**
+ * @typedef {Object} ListenerEntry
+ * @property {string} event - The event name or wildcard listened for
+ * @property {EventListener} callback - The listener
+ * @property {boolean} once - Whether it's removed after its first call
+ */
+
+/** @type {string} - Separates the namespace of an event from its name, as in 'window:open' */
+const NAMESPACE_SEPARATOR = ':'
+
+/** @type {string} - Listens for every event, or every event of a namespace, as in 'window:*' */
+const WILDCARD = '*'
+
+/**
+ * Whether a listened for name matches an emitted event.
+ * '*' matches every event, and 'window:*' every event in the window namespace, such as 'window:open'.
+ * @param {string} pattern - The event name or wildcard listened for
+ * @param {string} event - The emitted event
+ * @returns {boolean}
+ */
+export function matchesEvent (pattern, event) {
+  if (pattern === event || pattern === WILDCARD) return true
+  if (!pattern.endsWith(NAMESPACE_SEPARATOR + WILDCARD)) return false
+  return event.startsWith(pattern.slice(0, -WILDCARD.length))
+}
+
+/**
+ * Emits named events to the listeners of their name, namespace or every event.
+ * A listener that throws is reported, and the others are still called.
+ * Windows, timers and the Environment's bus all emit their events through one.
+ * @class EventEmitter
+ * @public
+ */
+export default class EventEmitter {
+  /**
+   * @private
+   * @type {ListenerEntry[]} - The listeners, in the order they were added
+   */
+  #listeners = []
+
+  /**
+   * Register an event listener
+   * @param {string} event - The event name, or a wildcard, to listen for
+   * @param {EventListener} callback - The callback function to execute
+   * @returns {Unsubscribe} - Removes the listener
+   */
+  on (event, callback) {
+    return this.#add(event, callback, false)
+  }
+
+  /**
+   * Register an event listener that's removed after it's first called
+   * @param {string} event - The event name, or a wildcard, to listen for
+   * @param {EventListener} callback - The callback function to execute
+   * @returns {Unsubscribe} - Removes the listener before it's called
+   */
+  once (event, callback) {
+    return this.#add(event, callback, true)
+  }
+
+  /**
+   * Remove an event listener. Without a callback, every listener of the event is removed,
+   * and without an event, every listener at all.
+   * @param {string} [event] - The event name or wildcard it was registered for
+   * @param {EventListener} [callback] - The listener to remove
+   */
+  off (event, callback) {
+    this.#listeners = this.#listeners.filter(entry =>
+      (event !== undefined && entry.event !== event) || (callback !== undefined && entry.callback !== callback)
+    )
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   * @param {string} event - The event name to emit
+   * @param {*} [data] - Optional data to pass to the listeners
+   */
+  emit (event, data) {
+    // Listeners added or removed by a listener only take effect from the next event
+    const entries = this.#listeners.filter(entry => matchesEvent(entry.event, event))
+    entries.forEach(entry => {
+      if (entry.once) this.#remove(entry)
+      try {
+        entry.callback(data, event)
+      } catch (err) {
+        console.error(`Error in a listener of ${event}:`, err)
+      }
+    })
+  }
+
+  /**
+   * The number of listeners an event would be emitted to, including wildcards.
+   * @param {string} event - The event name
+   * @returns {number}
+   */
+  listenerCount (event) {
+    return this.#listeners.filter(entry => matchesEvent(entry.event, event)).length
+  }
+
+  /**
+   * @private
+   * @param {string} event - The event name or wildcard
+   * @param {EventListener} callback - The listener
+   * @param {boolean} once - Whether it's removed after its first call
+   * @returns {Unsubscribe}
+   */
+  #add (event, callback, once) {
+    if (typeof callback !== 'function') throw new TypeError(`Listener of ${event} is not a function`)
+    const entry = { event, callback, once }
+    this.#listeners.push(entry)
+    return () => this.#remove(entry)
+  }
+
+  /**
+   * @private
+   * @param {ListenerEntry} entry - The listener to remove
+   */
+  #remove (entry) {
+    const index = this.#listeners.indexOf(entry)
+    if (index !== -1) this.#listeners.splice(index, 1)
+  }
+}
+
+export { EventEmitter }
@@ -0,0 +1,217 @@
+/**
+ * @typedef {Object} FetchCacheOptions
+ * @property {typeof fetch} [fetch] - The fetch function requests go through. Defaults to the global fetch
+ * @property {CacheStorage|null} [cacheStorage] - Where responses are kept between visits. Defaults to the global caches, if there is one
+ * @property {string} [cacheName] - Name of the Cache Storage cache
+ * @property {number} [maxAge] - How long a cached response is used without revalidating it, in ms
+ */
+
+/**
+ * @typedef {Object} FetchTextOptions
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {function(number|null): void} [onProgress] - Called with the fraction downloaded so far,
+ * or null when the response doesn't say how big it is
+ */
+
+/**
+ * @typedef {Object} CachedResponse
+ * @property {string} text - The response body
+ * @property {string|null} etag - The ETag header, used to revalidate
+ * @property {string|null} lastModified - The Last-Modified header, used to revalidate
+ * @property {number} time - When the response was fetched or last revalidated
+ */
+
+/** @type {number} - Default time a cached response is used without revalidating it, in ms */
+const DEFAULT_MAX_AGE = 60 * 1000
+
+/** @type {string} - Header the fetch time is stored under in Cache Storage */
+const CACHED_AT_HEADER = 'x-cached-at'
+
+/**
+ * Text responses cached in memory and in Cache Storage, keyed by URL.
+ * Cached responses are used as they are while fresh, and revalidated with a conditional
+ * request once they're older than maxAge. When the network fails, a cached copy is used if there is one.
+ * @class FetchCache
+ * @public
+ */
+export default class FetchCache {
+  /**
+   * @private
+   * @type {Map<string, CachedResponse>}
+   */
+  #memory = new Map()
+
+  /**
+   * @param {FetchCacheOptions} [options] - Cache options
+   */
+  constructor ({
+    fetch = (...args) => globalThis.fetch(...args),
+    cacheStorage = globalThis.caches ?? null,
+    cacheName = 'window-contents',
+    maxAge = DEFAULT_MAX_AGE
+  } = {}) {
+    this.fetch = fetch
+    this.cacheStorage = cacheStorage
+    this.cacheName = cacheName
+    this.maxAge = maxAge
+  }
+
+  /**
+   * Fetch the text of a URL, from the cache when possible.
+   * Requests other than GET always go to the network and aren't cached.
+   * A cache mode of 'no-cache' revalidates the cached response even while it's fresh, as reloading a page does.
+   * @param {string} url - The URL
+   * @param {FetchTextOptions & RequestInit} [options] - Request options
+   * @returns {Promise<string>}
+   */
+  async getText (url, { signal, onProgress, ...init } = {}) {
+    const key = new URL(url, globalThis.location?.href).href
+    const method = (init.method || 'GET').toUpperCase()
+    if (method !== 'GET') {
+      const response = await this.fetch(url, { ...init, signal })
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+      return this.readText(response, onProgress, signal)
+    }
+
+    const cached = this.#memory.get(key) ?? await this.readStored(key)
+    if (cached && init.cache !== 'no-cache' && Date.now() - cached.time < this.maxAge) {
+      onProgress?.(1)
+      return cached.text
+    }
+
+    // Revalidate stale copies, so unchanged pages aren't downloaded again
+    const headers = new Headers(init.headers)
+    if (cached?.etag) headers.set('If-None-Match', cached.etag)
+    if (cached?.lastModified) headers.set('If-Modified-Since', cached.lastModified)
+
+    let response
+    try {
+      response = await this.fetch(url, { ...init, headers, signal })
+    } catch (err) {
+      if (err.name === 'AbortError' || !cached) throw err
+      console.warn(`Using the cached copy of ${url}:`, err)
+      onProgress?.(1)
+      return cached.text
+    }
+
+    if (response.status === 304 && cached) {
+      this.store(key, { ...cached, time: Date.now() })
+      onProgress?.(1)
+      return cached.text
+    }
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+    const text = await this.readText(response, onProgress, signal)
+    this.store(key, {
+      text,
+      etag: response.headers?.get('ETag') ?? null,
+      lastModified: response.headers?.get('Last-Modified') ?? null,
+      time: Date.now()
+    })
+    return text
+  }
+
+  /**
+   * Read a response body, reporting the download progress as it comes in.
+   * @private
+   * @param {Response} response - The response
+   * @param {function(number|null): void} [onProgress] - Progress callback
+   * @param {AbortSignal} [signal] - Cancels reading
+   * @returns {Promise<string>}
+   */
+  async readText (response, onProgress, signal) {
+    const total = Number(response.headers?.get('Content-Length')) || 0
+    if (!onProgress || !response.body?.getReader) {
+      const text = await response.text()
+      onProgress?.(1)
+      return text
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let received = 0
+    let text = ''
+    while (true) {
+      if (signal?.aborted) {
+        reader.cancel()
+        throw new DOMException('The load was aborted', 'AbortError')
+      }
+      const { done, value } = await reader.read()
+      if (done) break
+      received += value.byteLength
+      text += decoder.decode(value, { stream: true })
+      onProgress(total ? Math.min(received / total, 1) : null)
+    }
+    text += decoder.decode()
+    onProgress(1)
+    return text
+  }
+
+  /**
+   * Load a response kept in Cache Storage into memory.
+   * @private
+   * @param {string} key - The absolute URL
+   * @returns {Promise<CachedResponse|null>}
+   */
+  async readStored (key) {
+    if (!this.cacheStorage) return null
+    try {
+      const cache = await this.cacheStorage.open(this.cacheName)
+      const response = await cache.match(key)
+      if (!response) return null
+
+      const entry = {
+        text: await response.text(),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        time: Number(response.headers.get(CACHED_AT_HEADER)) || 0
+      }
+      this.#memory.set(key, entry)
+      return entry
+    } catch (err) {
+      console.warn('Failed to read from Cache Storage:', err)
+      return null
+    }
+  }
+
+  /**
+   * Keep a response in memory and in Cache Storage.
+   * @private
+   * @param {string} key - The absolute URL
+   * @param {CachedResponse} entry - The response
+   */
+  store (key, entry) {
+    this.#memory.set(key, entry)
+    if (!this.cacheStorage) return
+
+    const headers = { 'Content-Type': 'text/plain; charset=utf-8', [CACHED_AT_HEADER]: String(entry.time) }
+    if (entry.etag) headers.ETag = entry.etag
+    if (entry.lastModified) headers['Last-Modified'] = entry.lastModified
+
+    this.cacheStorage.open(this.cacheName)
+      .then(cache => cache.put(key, new Response(entry.text, { headers })))
+      .catch(err => console.warn('Failed to write to Cache Storage:', err))
+  }
+
+  /**
+   * Forget a cached URL, or every cached URL.
+   * @param {string} [url] - The URL to forget. Forgets everything when left out
+   * @returns {Promise<void>}
+   */
+  async clear (url) {
+    if (url) {
+      const key = new URL(url, globalThis.location?.href).href
+      this.#memory.delete(key)
+      if (this.cacheStorage) await (await this.cacheStorage.open(this.cacheName)).delete(key)
+      return
+    }
+
+    this.#memory.clear()
+    if (this.cacheStorage) await this.cacheStorage.delete(this.cacheName)
+  }
+}
+
+/** @type {FetchCache} - The cache windows use unless they're given one */
+export const defaultCache = new FetchCache()
+
+export { FetchCache }
@@ -9,6 +9,8 @@
  * @property {number} y - The y-coordinate of the icon in px.
  */
 
+import {onDoubleTap} from './gestures.js'
+
 class Icon {
 
   /**
@@ -27,6 +29,13 @@ class Icon {
     title = title || ''
     imagePath = imagePath || 'imagees/0.png'
     onhoverPath = onhoverPath || 'images/0.png'
+    // The title an icon is created with identifies it, even after it's renamed
+    this.id = title
+    this.title = title
+    this.x = 0
+    this.y = 0
+    this.selected = false
+    this.clickHandler = clickHandler || null
     this.element = document.createElement('div')
     this.element.className = 'desktop-icon'
 
@@ -40,9 +49,15 @@ class Icon {
     this.element.appendChild(this.image)
     this.element.appendChild(this.label)
 
-    // Change to double-click handler
+    // Double-click with a mouse, double-tap with touch. A long-press is left to open the context menu
     if (clickHandler) {
-      this.element.addEventListener('dblclick', clickHandler)
+      let lastPointerType = 'mouse'
+      this.element.addEventListener('pointerdown', e => { lastPointerType = e.pointerType })
+      // Mobile browsers follow a double-tap with a dblclick, which would open the window twice
+      this.element.addEventListener('dblclick', e => {
+        if (lastPointerType === 'mouse') clickHandler(e)
+      })
+      onDoubleTap(this.element, clickHandler)
     }
 
     this.element.style.cssText = `
@@ -54,14 +69,15 @@ class Icon {
       height: 80px;
       cursor: pointer;
       padding: 8px;
+      touch-action: none;
     `
 
     // Add hover state
-    this.element.addEventListener('mouseenter', () => {
+    this.element.addEventListener('pointerenter', () => {
       this.image.src = onhoverPath
     })
 
-    this.element.addEventListener('mouseleave', () => {
+    this.element.addEventListener('pointerleave', () => {
       this.image.src = imagePath
     })
 
@@ -74,7 +90,7 @@ class Icon {
     `
 
     this.label.style.cssText = `
-      color: white;
+      color: var(--icon-text);
       text-align: center;
       font-size: 0.75rem;
       text-shadow: 1px 1px 1px rgba(0,0,0,0.5);
@@ -85,10 +101,73 @@ class Icon {
   }
 
   setPosition (x, y) {
+    this.x = x
+    this.y = y
     this.element.style.left = `${x}px`
     this.element.style.top = `${y}px`
   }
+
+  /**
+   * Change the title shown underneath the icon.
+   * @param {string} title - The new title
+   */
+  setTitle (title) {
+    this.title = title
+    this.label.textContent = title
+    this.image.alt = title
+  }
+
+  /**
+   * Let the user edit the title in place. Enter or leaving the field keeps the edit, Escape cancels it.
+   * @returns {Promise<string|null>} - The new title, or null if the edit was cancelled or left empty
+   */
+  editTitle () {
+    return new Promise(resolve => {
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.className = 'desktop-icon-rename'
+      input.value = this.title
+      input.style.cssText = `
+        width: 76px;
+        font-size: 0.75rem;
+        text-align: center;
+      `
+
+      let done = false
+      const finish = title => {
+        if (done) return
+        done = true
+        input.replaceWith(this.label)
+        resolve(title || null)
+      }
+
+      input.addEventListener('keydown', e => {
+        e.stopPropagation()
+        if (e.key === 'Enter') finish(input.value.trim())
+        else if (e.key === 'Escape') finish(null)
+      })
+      input.addEventListener('blur', () => finish(input.value.trim()))
+      // Clicking into the field shouldn't drag or open the icon
+      input.addEventListener('pointerdown', e => e.stopPropagation())
+      input.addEventListener('dblclick', e => e.stopPropagation())
+
+      this.label.replaceWith(input)
+      input.focus()
+      input.select()
+    })
+  }
+
+  /**
+   * Show the icon as selected, with a highlighted label and a tinted image.
+   * @param {boolean} selected - Whether the icon is selected
+   */
+  setSelected (selected) {
+    this.selected = selected
+    this.element.classList.toggle('selected', selected)
+    this.label.style.backgroundColor = selected ? 'var(--highlight)' : ''
+    this.label.style.outline = selected ? '1px dotted var(--highlight-text)' : ''
+    this.image.style.filter = selected ? 'brightness(0.7) sepia(1) hue-rotate(190deg) saturate(3)' : ''
+  }
 }
 
 export {Icon}
-export {IconConfig}
\ No newline at end of file
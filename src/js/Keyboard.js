@@ -0,0 +1,358 @@
+/** @import {Window} from './Windows/window.js' */
+/** @import Environment from './environment.js' */
+
+/**
+ * Key combinations by action. Each combination is a '+' separated list of
+ * modifiers (Ctrl, Alt, Shift, Meta) ending in a KeyboardEvent.key value, e.g. 'Alt+Shift+Tab'.
+ * @typedef {Object.<string, string|string[]>} KeyBindings
+ */
+
+/**
+ * Default key bindings. Combinations the operating system or browser handles first,
+ * like Alt+Tab, Alt+F4 or Meta+D, never reach the page, so these use Alt+Shift and Ctrl+Alt instead.
+ * @type {KeyBindings}
+ */
+const DEFAULT_BINDINGS = {
+  switchNext: 'Alt+Shift+PageDown',
+  switchPrevious: 'Alt+Shift+PageUp',
+  closeWindow: 'Alt+Shift+W',
+  minimizeWindow: 'Alt+Shift+ArrowDown',
+  restoreWindow: 'Alt+Shift+ArrowUp',
+  showDesktop: 'Alt+Shift+D',
+  snapLeft: 'Alt+Shift+ArrowLeft',
+  snapRight: 'Alt+Shift+ArrowRight',
+  moveLeft: 'Ctrl+Alt+ArrowLeft',
+  moveRight: 'Ctrl+Alt+ArrowRight',
+  moveUp: 'Ctrl+Alt+ArrowUp',
+  moveDown: 'Ctrl+Alt+ArrowDown',
+  shrinkWidth: 'Ctrl+Alt+Shift+ArrowLeft',
+  growWidth: 'Ctrl+Alt+Shift+ArrowRight',
+  shrinkHeight: 'Ctrl+Alt+Shift+ArrowUp',
+  growHeight: 'Ctrl+Alt+Shift+ArrowDown'
+}
+
+/**
+ * Windows style bindings, for pages that run full-screen or in a kiosk where the page receives them.
+ * Passed as the Environment's keyBindings, they replace the matching defaults.
+ * @type {KeyBindings}
+ */
+export const OS_BINDINGS = {
+  switchNext: 'Alt+Tab',
+  switchPrevious: 'Alt+Shift+Tab',
+  closeWindow: 'Alt+F4',
+  minimizeWindow: 'Meta+ArrowDown',
+  restoreWindow: 'Meta+ArrowUp',
+  showDesktop: 'Meta+D',
+  snapLeft: 'Meta+ArrowLeft',
+  snapRight: 'Meta+ArrowRight'
+}
+
+/** @type {number} - How far the arrow keys move or resize a window, in px */
+const STEP = 10
+
+/**
+ * Parse a key combination into its modifiers and key.
+ * @param {string} combo - The combination, e.g. 'Alt+Shift+Tab'
+ * @returns {{ctrl: boolean, alt: boolean, shift: boolean, meta: boolean, key: string, source: string}}
+ */
+function parseCombo (combo) {
+  const parts = combo.split('+').map(part => part.trim())
+  const key = parts.pop()
+  const modifiers = parts.map(part => part.toLowerCase())
+  return {
+    ctrl: modifiers.includes('ctrl'),
+    alt: modifiers.includes('alt'),
+    shift: modifiers.includes('shift'),
+    meta: modifiers.includes('meta') || modifiers.includes('win'),
+    key: key.toLowerCase(),
+    source: combo
+  }
+}
+
+/**
+ * Keyboard driven window management for an Environment - a window switcher,
+ * closing, minimizing and restoring windows, showing the desktop,
+ * and moving and resizing the focused window with the arrow keys.
+ * @class KeyboardManager
+ * @public
+ */
+export default class KeyboardManager {
+  /**
+   * @private
+   * @type {Environment}
+   */
+  #env
+
+  /**
+   * @private
+   * @type {Map<string, ReturnType<parseCombo>[]>} - Parsed key combinations by action
+   */
+  #bindings = new Map()
+
+  /**
+   * @private
+   * @type {Window[]} - Windows minimized by showDesktop, restored when it's pressed again
+   */
+  #hiddenByShowDesktop = []
+
+  /**
+   * @private
+   * @type {{windows: Window[], index: number, element: HTMLElement}|null} - The open switcher
+   */
+  #switcher = null
+
+  /**
+   * @param {Environment} env - The environment to manage
+   * @param {KeyBindings} [bindings] - Overrides of the default key bindings
+   */
+  constructor (env, bindings = {}) {
+    this.#env = env
+
+    /**
+     * Handlers by action
+     * @type {Object.<string, Function>}
+     */
+    this.actions = {
+      switchNext: () => this.cycleSwitcher(1),
+      switchPrevious: () => this.cycleSwitcher(-1),
+      closeWindow: () => this.closeActiveWindow(),
+      minimizeWindow: () => this.minimizeActiveWindow(),
+      restoreWindow: () => this.restoreLastWindow(),
+      showDesktop: () => this.toggleDesktop(),
+      snapLeft: () => this.snapActiveWindow('left'),
+      snapRight: () => this.snapActiveWindow('right'),
+      moveLeft: () => this.#env.activeWindow?.moveBy(-STEP, 0),
+      moveRight: () => this.#env.activeWindow?.moveBy(STEP, 0),
+      moveUp: () => this.#env.activeWindow?.moveBy(0, -STEP),
+      moveDown: () => this.#env.activeWindow?.moveBy(0, STEP),
+      shrinkWidth: () => this.#env.activeWindow?.resizeBy(-STEP, 0),
+      growWidth: () => this.#env.activeWindow?.resizeBy(STEP, 0),
+      shrinkHeight: () => this.#env.activeWindow?.resizeBy(0, -STEP),
+      growHeight: () => this.#env.activeWindow?.resizeBy(0, STEP)
+    }
+
+    Object.entries({ ...DEFAULT_BINDINGS, ...bindings }).forEach(([action, keys]) => {
+      this.setBinding(action, keys)
+    })
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+    this.onKeyUp = this.onKeyUp.bind(this)
+    document.addEventListener('keydown', this.onKeyDown, true)
+    document.addEventListener('keyup', this.onKeyUp, true)
+  }
+
+  /**
+   * Bind an action to one or more key combinations, replacing its current binding.
+   * @param {string} action - The action name
+   * @param {string|string[]|null} keys - The key combinations, or null to unbind the action
+   */
+  setBinding (action, keys) {
+    if (!this.actions[action]) throw new Error(`Unknown keyboard action: ${action}`)
+    if (!keys) {
+      this.#bindings.delete(action)
+      return
+    }
+    const combos = Array.isArray(keys) ? keys : [keys]
+    this.#bindings.set(action, combos.map(parseCombo))
+  }
+
+  /**
+   * Get the current key bindings.
+   * @returns {KeyBindings}
+   */
+  getBindings () {
+    const bindings = {}
+    this.#bindings.forEach((combos, action) => {
+      bindings[action] = combos.map(combo => combo.source)
+    })
+    return bindings
+  }
+
+  /**
+   * Find the action bound to a key event.
+   * @private
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {string|null} - The action name
+   */
+  matchAction (event) {
+    const key = event.key.toLowerCase()
+    for (const [action, combos] of this.#bindings) {
+      const matched = combos.some(combo =>
+        combo.key === key &&
+        combo.ctrl === event.ctrlKey &&
+        combo.alt === event.altKey &&
+        combo.shift === event.shiftKey &&
+        combo.meta === event.metaKey
+      )
+      if (matched) return action
+    }
+    return null
+  }
+
+  /**
+   * @private
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown (event) {
+    if (this.#switcher && event.key === 'Escape') {
+      event.preventDefault()
+      this.closeSwitcher(false)
+      return
+    }
+
+    const action = this.matchAction(event)
+    if (!action) return
+    event.preventDefault()
+    event.stopPropagation()
+    this.actions[action]()
+  }
+
+  /**
+   * Releasing the switcher's modifier picks the selected window.
+   * @private
+   * @param {KeyboardEvent} event - The keyup event
+   */
+  onKeyUp (event) {
+    if (this.#switcher && !event.altKey && !event.ctrlKey && !event.metaKey) {
+      this.closeSwitcher(true)
+    }
+  }
+
+  /**
+   * Open the switcher, or move its selection.
+   * Windows are listed front to back, in the order bringToFront keeps them in.
+   * @param {number} direction - 1 to select the next window, -1 for the previous one
+   */
+  cycleSwitcher (direction) {
+    if (!this.#switcher) {
+      const windows = Array.from(this.#env.windows.values()).reverse()
+      if (windows.length === 0) return
+
+      const element = document.createElement('div')
+      element.id = 'window-switcher'
+      element.className = 'window'
+      element.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        gap: 6px;
+        max-width: 80vw;
+        padding: 10px;
+        z-index: 10002;
+      `
+      this.#env.environment.appendChild(element)
+      this.#switcher = { windows, index: 0, element }
+    }
+
+    const switcher = this.#switcher
+    switcher.index = (switcher.index + direction + switcher.windows.length) % switcher.windows.length
+    this.renderSwitcher()
+  }
+
+  /**
+   * Build the switcher entries, highlighting the selected window.
+   * @private
+   */
+  renderSwitcher () {
+    const { windows, index, element } = this.#switcher
+    element.innerHTML = ''
+    windows.forEach((win, i) => {
+      const entry = document.createElement('div')
+      entry.className = 'window-switcher-entry'
+      entry.textContent = win.title
+      entry.style.cssText = `
+        padding: 6px 10px;
+        max-width: 160px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        border: 1px ${i === index ? 'solid var(--window-frame)' : 'solid transparent'};
+        background: ${i === index ? 'var(--highlight)' : 'transparent'};
+        color: ${i === index ? 'var(--highlight-text)' : 'var(--text-color)'};
+        font-style: ${win.isMinimized ? 'italic' : 'normal'};
+      `
+      element.appendChild(entry)
+    })
+  }
+
+  /**
+   * Close the switcher.
+   * @param {boolean} commit - Whether to focus the selected window
+   */
+  closeSwitcher (commit) {
+    if (!this.#switcher) return
+    const { windows, index, element } = this.#switcher
+    element.remove()
+    this.#switcher = null
+    if (commit) this.#env.focusWindow(windows[index])
+  }
+
+  /**
+   * Close the focused window.
+   */
+  closeActiveWindow () {
+    const win = this.#env.activeWindow
+    if (win) win.emit('close', win)
+  }
+
+  /**
+   * Minimize the focused window.
+   */
+  minimizeActiveWindow () {
+    const win = this.#env.activeWindow
+    if (win) win.toggleMinimize()
+  }
+
+  /**
+   * Snap the focused window to a half of the screen, or restore it if it's already there.
+   * @param {'left'|'right'} side - The half to snap to
+   */
+  snapActiveWindow (side) {
+    const win = this.#env.activeWindow
+    if (!win) return
+    if (win.snapped === side) win.restoreDown()
+    else win.snap(side)
+  }
+
+  /**
+   * Restore the front-most minimized window.
+   */
+  restoreLastWindow () {
+    const minimized = Array.from(this.#env.windows.values()).filter(win => win.isMinimized)
+    const win = minimized[minimized.length - 1]
+    if (win) this.#env.focusWindow(win)
+  }
+
+  /**
+   * Minimize every window, or restore the ones that were minimized by the last call.
+   */
+  toggleDesktop () {
+    const open = Array.from(this.#env.windows.values()).filter(win => !win.isMinimized)
+
+    if (open.length === 0 && this.#hiddenByShowDesktop.length) {
+      this.#hiddenByShowDesktop
+        .filter(win => this.#env.windows.has(win.id))
+        .forEach(win => this.#env.focusWindow(win))
+      this.#hiddenByShowDesktop = []
+      return
+    }
+
+    this.#hiddenByShowDesktop = open
+    open.forEach(win => win.toggleMinimize())
+  }
+
+  /**
+   * Remove the global key listeners.
+   */
+  destroy () {
+    this.closeSwitcher(false)
+    document.removeEventListener('keydown', this.onKeyDown, true)
+    document.removeEventListener('keyup', this.onKeyUp, true)
+  }
+}
+
+export { KeyboardManager }
@@ -0,0 +1,339 @@
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} [label] - The text shown for the item
+ * @property {string} [icon] - Path to an icon image shown before the label
+ * @property {boolean} [disabled] - Whether the item is greyed out and can't be activated
+ * @property {boolean} [separator] - Whether the item is a separator line
+ * @property {MenuItem[]} [children] - Items of a submenu opened from this item
+ * @property {Function} [action] - Called when the item is activated
+ */
+
+import {RAISED_BEVEL} from './themes.js'
+
+/**
+ * A Win98 style cascading menu panel with keyboard navigation.
+ * Submenus are opened as child Menu instances next to their parent item.
+ * @class Menu
+ * @public
+ */
+export default class Menu {
+  /**
+   * @private
+   * @type {MenuItem[]}
+   */
+  #items
+
+  /**
+   * @private
+   * @type {HTMLElement[]} - The rendered item rows, by item index
+   */
+  #rows = []
+
+  /**
+   * @private
+   * @type {number} - Index of the highlighted item, -1 when none is
+   */
+  #activeIndex = -1
+
+  /**
+   * @private
+   * @type {Menu|null} - The currently open submenu
+   */
+  #submenu = null
+
+  /**
+   * @param {MenuItem[]} items - The menu items
+   * @param {object} [options] - Menu options
+   * @param {Menu} [options.parent] - The menu this is a submenu of
+   * @param {Function} [options.onClose] - Called when the whole menu chain closes
+   * @param {HTMLElement} [options.container] - Element the menu panel is appended to
+   */
+  constructor (items, { parent = null, onClose = null, container = document.body } = {}) {
+    this.#items = items
+    this.parent = parent
+    this.onClose = onClose
+    this.container = container
+    this.isOpen = false
+
+    this.element = document.createElement('div')
+    this.element.className = 'menu'
+    this.element.tabIndex = -1
+    this.element.setAttribute('role', 'menu')
+    this.element.style.cssText = `
+      position: fixed;
+      display: none;
+      flex-direction: column;
+      min-width: 160px;
+      padding: 3px;
+      background: var(--surface);
+      color: var(--text-color);
+      box-shadow: ${RAISED_BEVEL};
+      z-index: 10000;
+      font-size: 0.875rem;
+      user-select: none;
+      outline: none;
+    `
+
+    this.handleKeyDown = this.handleKeyDown.bind(this)
+    this.element.addEventListener('keydown', this.handleKeyDown)
+    this.render()
+  }
+
+  /**
+   * Build the item rows of the menu panel.
+   * @private
+   */
+  render () {
+    this.element.innerHTML = ''
+    this.#rows = this.#items.map((item, index) => {
+      const row = document.createElement('div')
+
+      if (item.separator) {
+        row.className = 'menu-separator'
+        row.style.cssText = `
+          margin: 3px 2px;
+          border-top: 1px solid var(--button-shadow);
+          border-bottom: 1px solid var(--button-highlight);
+        `
+        this.element.appendChild(row)
+        return row
+      }
+
+      row.className = 'menu-item'
+      row.setAttribute('role', 'menuitem')
+      if (item.disabled) row.setAttribute('aria-disabled', 'true')
+      if (item.children) row.setAttribute('aria-haspopup', 'true')
+      row.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 8px;
+        white-space: nowrap;
+        cursor: default;
+        color: ${item.disabled ? 'var(--disabled-text)' : 'var(--text-color)'};
+        text-shadow: ${item.disabled ? '1px 1px var(--button-highlight)' : 'none'};
+      `
+
+      const icon = document.createElement('img')
+      icon.style.cssText = 'width: 16px; height: 16px; object-fit: contain;'
+      if (item.icon) icon.src = item.icon
+      else icon.style.visibility = 'hidden'
+      row.appendChild(icon)
+
+      const label = document.createElement('span')
+      label.textContent = item.label
+      label.style.flexGrow = '1'
+      row.appendChild(label)
+
+      if (item.children) {
+        const arrow = document.createElement('span')
+        arrow.innerHTML = '&#9656;'
+        row.appendChild(arrow)
+      }
+
+      row.addEventListener('mouseenter', () => this.highlight(index, true))
+      row.addEventListener('click', e => {
+        e.stopPropagation()
+        this.activate(index)
+      })
+
+      this.element.appendChild(row)
+      return row
+    })
+  }
+
+  /**
+   * Replace the items of the menu.
+   * @param {MenuItem[]} items - The new menu items
+   */
+  setItems (items) {
+    this.#items = items
+    this.closeSubmenu()
+    this.#activeIndex = -1
+    this.render()
+  }
+
+  /**
+   * Open the menu with its top left corner at the given position,
+   * keeping it inside the viewport.
+   * @param {number} x - The x position in px
+   * @param {number} y - The y position in px
+   */
+  open (x, y) {
+    if (!this.element.isConnected) this.container.appendChild(this.element)
+    this.element.style.display = 'flex'
+    this.isOpen = true
+
+    const rect = this.element.getBoundingClientRect()
+    const left = Math.max(0, Math.min(x, window.innerWidth - rect.width))
+    const top = Math.max(0, Math.min(y, window.innerHeight - rect.height))
+    this.element.style.left = `${left}px`
+    this.element.style.top = `${top}px`
+    this.element.focus()
+  }
+
+  /**
+   * Close the menu and any open submenu.
+   * Closing the root menu calls onClose.
+   */
+  close () {
+    if (!this.isOpen) return
+    this.closeSubmenu()
+    this.highlight(-1)
+    this.isOpen = false
+    this.element.style.display = 'none'
+    this.element.remove()
+    if (!this.parent && this.onClose) this.onClose()
+  }
+
+  /**
+   * Close the whole chain of menus this menu belongs to.
+   */
+  closeAll () {
+    let root = this
+    while (root.parent) root = root.parent
+    root.close()
+  }
+
+  /**
+   * Close the open submenu, if any.
+   */
+  closeSubmenu () {
+    if (this.#submenu) {
+      this.#submenu.close()
+      this.#submenu = null
+    }
+  }
+
+  /**
+   * Whether a node is inside this menu or one of its open submenus.
+   * @param {Node} node - The node to check
+   * @returns {boolean}
+   */
+  contains (node) {
+    return this.element.contains(node) || (this.#submenu?.contains(node) ?? false)
+  }
+
+  /**
+   * Highlight an item, optionally opening its submenu.
+   * @param {number} index - The item index, or -1 to clear the highlight
+   * @param {boolean} [openSubmenu] - Whether to open the item's submenu
+   */
+  highlight (index, openSubmenu = false) {
+    this.#rows.forEach((row, i) => {
+      if (row.className !== 'menu-item') return
+      const active = i === index
+      row.style.background = active ? 'var(--highlight)' : ''
+      row.style.color = this.#items[i].disabled ? 'var(--disabled-text)' : active ? 'var(--highlight-text)' : 'var(--text-color)'
+    })
+    this.#activeIndex = index
+
+    if (this.#submenu && this.#submenu.anchorIndex !== index) this.closeSubmenu()
+    if (openSubmenu && index >= 0) this.openSubmenu(index)
+  }
+
+  /**
+   * Open the submenu of an item next to its row.
+   * @param {number} index - The item index
+   * @returns {Menu|null} - The opened submenu
+   */
+  openSubmenu (index) {
+    const item = this.#items[index]
+    if (!item?.children || item.disabled) return null
+    if (this.#submenu?.anchorIndex === index) return this.#submenu
+
+    this.closeSubmenu()
+    const submenu = new Menu(item.children, { parent: this, container: this.container })
+    submenu.anchorIndex = index
+    this.#submenu = submenu
+
+    const rect = this.#rows[index].getBoundingClientRect()
+    submenu.open(rect.right, rect.top - 3)
+
+    // Flip to the left side if the submenu doesn't fit on the right
+    const subRect = submenu.element.getBoundingClientRect()
+    if (subRect.left < rect.right) {
+      submenu.element.style.left = `${Math.max(0, rect.left - subRect.width)}px`
+    }
+    return submenu
+  }
+
+  /**
+   * Activate an item - open its submenu or run its action.
+   * @param {number} index - The item index
+   */
+  activate (index) {
+    const item = this.#items[index]
+    if (!item || item.separator || item.disabled) return
+
+    if (item.children) {
+      this.highlight(index)
+      this.openSubmenu(index)?.moveHighlight(1)
+      return
+    }
+
+    this.closeAll()
+    if (item.action) item.action()
+  }
+
+  /**
+   * Move the highlight to the next selectable item in a direction, wrapping around.
+   * @param {number} direction - 1 to move down, -1 to move up
+   */
+  moveHighlight (direction) {
+    const count = this.#items.length
+    let index = this.#activeIndex
+    for (let i = 0; i < count; i++) {
+      index = (index + direction + count) % count
+      if (!this.#items[index].separator) {
+        this.highlight(index)
+        return
+      }
+    }
+  }
+
+  /**
+   * Keyboard navigation within the menu.
+   * @private
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeyDown (event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        this.moveHighlight(1)
+        break
+      case 'ArrowUp':
+        this.moveHighlight(-1)
+        break
+      case 'ArrowRight':
+        if (this.#items[this.#activeIndex]?.children) this.activate(this.#activeIndex)
+        break
+      case 'ArrowLeft':
+        if (this.parent) {
+          const parent = this.parent
+          parent.closeSubmenu()
+          parent.element.focus()
+        }
+        break
+      case 'Enter':
+      case ' ':
+        this.activate(this.#activeIndex)
+        break
+      case 'Escape':
+        if (this.parent) {
+          const parent = this.parent
+          parent.closeSubmenu()
+          parent.element.focus()
+        } else {
+          this.close()
+        }
+        break
+      default:
+        return
+    }
+    event.preventDefault()
+    event.stopPropagation()
+  }
+}
+
+export { Menu }
@@ -0,0 +1,388 @@
+import {RAISED_BEVEL} from './themes.js'
+/** @import {Taskbar} from './Taskbar.js' */
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - The button text
+ * @property {string} [config] - Key of the defaultConfigs entry of the window to open
+ * @property {string} [windowClass] - Registered name of the window class to open. Defaults to 'Window'
+ * @property {string} [href] - External link to open in a new tab
+ * @property {Function} [callback] - Called when the button is clicked, instead of opening a window
+ */
+
+/**
+ * @typedef {Object} NotificationOptions
+ * @property {string} title - The notification title
+ * @property {string} [body] - The notification text
+ * @property {string} [icon] - Path to the icon shown in the tray and the toast
+ * @property {number} [timeout] - How long the toast stays up in ms. 0 keeps it up until closed
+ * @property {NotificationAction[]} [actions] - Buttons shown on the toast and in the history
+ */
+
+/**
+ * @typedef {NotificationOptions & {id: string, time: Date, read: boolean}} NotificationRecord
+ */
+
+/** @type {string} - Icon used for notifications without one */
+const DEFAULT_ICON = '/icons/messages.png'
+
+/** @type {number} - Default toast timeout in ms */
+const DEFAULT_TIMEOUT = 5000
+
+/**
+ * Notifications shown as icons in the taskbar tray and Win98 style balloon toasts,
+ * with a history list opened by clicking the tray.
+ * @class NotificationCenter
+ * @public
+ */
+export default class NotificationCenter {
+  /**
+   * @private
+   * @type {function(NotificationAction): void} - Runs a notification action
+   */
+  #runAction
+
+  /**
+   * @private
+   * @type {Map<string, {element: HTMLElement, timeout: number|null}>} - Visible toasts by notification id
+   */
+  #toasts = new Map()
+
+  /**
+   * @param {Taskbar} taskbar - The taskbar holding the notification tray
+   * @param {HTMLElement} container - Element the toasts and history panel are appended to
+   * @param {function(NotificationAction): void} runAction - Called when an action button is clicked
+   */
+  constructor (taskbar, container, runAction) {
+    this.taskbar = taskbar
+    this.container = container
+    this.#runAction = runAction
+
+    /**
+     * Every notification shown, oldest first
+     * @type {NotificationRecord[]}
+     */
+    this.history = []
+
+    // Tray icons sit to the left of the clock
+    this.trayIcons = document.createElement('div')
+    this.trayIcons.id = 'notification-tray-icons'
+    this.trayIcons.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 3px;
+      margin-right: 6px;
+    `
+    this.taskbar.notificationContainer.prepend(this.trayIcons)
+    this.taskbar.notificationContainer.style.cursor = 'pointer'
+    this.taskbar.notificationContainer.addEventListener('click', () => this.toggleHistory())
+
+    // Toasts stack down from underneath the tray
+    this.toastStack = document.createElement('div')
+    this.toastStack.id = 'notification-toasts'
+    this.toastStack.style.cssText = `
+      position: fixed;
+      top: 36px;
+      right: 10px;
+      display: flex;
+      flex-direction: column;
+      align-items: flex-end;
+      gap: 6px;
+      z-index: 10000;
+      pointer-events: none;
+    `
+    this.container.appendChild(this.toastStack)
+
+    this.historyPanel = null
+    this.onOutsideClick = this.onOutsideClick.bind(this)
+  }
+
+  /**
+   * The number of notifications that haven't been seen in the history yet.
+   * @returns {number}
+   */
+  get unreadCount () {
+    return this.history.filter(notification => !notification.read).length
+  }
+
+  /**
+   * Show a notification - an icon in the tray and a toast.
+   * @param {NotificationOptions} options - The notification
+   * @returns {NotificationRecord} - The shown notification
+   */
+  notify ({ title, body = '', icon = DEFAULT_ICON, timeout = DEFAULT_TIMEOUT, actions = [] }) {
+    if (!title) throw new Error('Notifications need a title')
+
+    /** @type {NotificationRecord} */
+    const notification = {
+      id: crypto.randomUUID(),
+      title,
+      body,
+      icon,
+      timeout,
+      actions,
+      time: new Date(),
+      read: false
+    }
+    this.history.push(notification)
+
+    this.addTrayIcon(notification)
+    this.showToast(notification)
+    if (this.historyPanel) this.renderHistory()
+    return notification
+  }
+
+  /**
+   * Add the icon of a notification to the tray.
+   * @private
+   * @param {NotificationRecord} notification - The notification
+   */
+  addTrayIcon (notification) {
+    const icon = document.createElement('img')
+    icon.className = 'notification-tray-icon'
+    icon.dataset.id = notification.id
+    icon.src = notification.icon
+    icon.alt = notification.title
+    icon.title = notification.title
+    icon.style.cssText = 'width: 16px; height: 16px; object-fit: contain;'
+    this.trayIcons.appendChild(icon)
+  }
+
+  /**
+   * Create the action buttons of a notification.
+   * @private
+   * @param {NotificationRecord} notification - The notification
+   * @returns {HTMLDivElement}
+   */
+  createActions (notification) {
+    const row = document.createElement('div')
+    row.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 6px;'
+
+    notification.actions.forEach(action => {
+      const button = document.createElement('button')
+      button.textContent = action.label
+      button.onclick = e => {
+        e.stopPropagation()
+        this.dismiss(notification.id)
+        this.closeHistory()
+        if (action.callback) action.callback(notification)
+        else this.#runAction(action)
+      }
+      row.appendChild(button)
+    })
+    return row
+  }
+
+  /**
+   * Show the balloon toast of a notification.
+   * @private
+   * @param {NotificationRecord} notification - The notification
+   */
+  showToast (notification) {
+    const toast = document.createElement('div')
+    toast.className = 'notification-toast'
+    toast.setAttribute('role', 'status')
+    toast.style.cssText = `
+      position: relative;
+      width: 260px;
+      padding: 8px 10px;
+      background: var(--tooltip-background);
+      color: var(--tooltip-text);
+      border: 1px solid var(--tooltip-text);
+      border-radius: 6px;
+      box-shadow: 2px 2px 0 rgba(0, 0, 0, 0.4);
+      font-size: 0.75rem;
+      pointer-events: auto;
+    `
+
+    const header = document.createElement('div')
+    header.style.cssText = 'display: flex; align-items: center; gap: 6px; font-weight: bold; margin-bottom: 4px;'
+
+    const icon = document.createElement('img')
+    icon.src = notification.icon
+    icon.style.cssText = 'width: 16px; height: 16px; object-fit: contain;'
+
+    const title = document.createElement('span')
+    title.textContent = notification.title
+    title.style.flexGrow = '1'
+
+    const closeButton = document.createElement('button')
+    closeButton.ariaLabel = 'Close'
+    closeButton.textContent = '×'
+    closeButton.style.cssText = 'min-width: 16px; min-height: 14px; padding: 0; line-height: 1;'
+    closeButton.onclick = e => {
+      e.stopPropagation()
+      this.dismiss(notification.id)
+    }
+
+    header.appendChild(icon)
+    header.appendChild(title)
+    header.appendChild(closeButton)
+    toast.appendChild(header)
+
+    if (notification.body) {
+      const body = document.createElement('div')
+      body.textContent = notification.body
+      toast.appendChild(body)
+    }
+
+    if (notification.actions.length) toast.appendChild(this.createActions(notification))
+
+    // Clicking the balloon itself opens the history, like clicking the tray
+    toast.addEventListener('click', () => {
+      this.dismiss(notification.id)
+      this.openHistory()
+    })
+
+    this.toastStack.appendChild(toast)
+    const timeout = notification.timeout > 0
+      ? setTimeout(() => this.dismiss(notification.id), notification.timeout)
+      : null
+    this.#toasts.set(notification.id, { element: toast, timeout })
+  }
+
+  /**
+   * Hide the toast of a notification. It stays in the history.
+   * @param {string} id - The notification id
+   */
+  dismiss (id) {
+    const toast = this.#toasts.get(id)
+    if (!toast) return
+    if (toast.timeout !== null) clearTimeout(toast.timeout)
+    toast.element.remove()
+    this.#toasts.delete(id)
+  }
+
+  /**
+   * Open the history list underneath the tray, marking every notification as read.
+   */
+  openHistory () {
+    if (!this.historyPanel) {
+      this.historyPanel = document.createElement('div')
+      this.historyPanel.id = 'notification-history'
+      this.historyPanel.style.cssText = `
+        position: fixed;
+        top: 32px;
+        right: 10px;
+        width: 300px;
+        max-height: 60vh;
+        overflow-y: auto;
+        padding: 6px;
+        background: var(--surface);
+        color: var(--text-color);
+        box-shadow: ${RAISED_BEVEL};
+        z-index: 10001;
+        font-size: 0.75rem;
+      `
+      this.container.appendChild(this.historyPanel)
+      document.addEventListener('mousedown', this.onOutsideClick, true)
+    }
+
+    this.history.forEach(notification => { notification.read = true })
+    this.trayIcons.innerHTML = ''
+    this.renderHistory()
+  }
+
+  /**
+   * Close the history list.
+   */
+  closeHistory () {
+    if (!this.historyPanel) return
+    this.historyPanel.remove()
+    this.historyPanel = null
+    document.removeEventListener('mousedown', this.onOutsideClick, true)
+  }
+
+  /**
+   * Open the history list if closed, close it if open.
+   */
+  toggleHistory () {
+    if (this.historyPanel) this.closeHistory()
+    else this.openHistory()
+  }
+
+  /**
+   * Remove every notification from the history and the tray.
+   */
+  clearHistory () {
+    Array.from(this.#toasts.keys()).forEach(id => this.dismiss(id))
+    this.history = []
+    this.trayIcons.innerHTML = ''
+    if (this.historyPanel) this.renderHistory()
+  }
+
+  /**
+   * Build the contents of the history list, newest first.
+   * @private
+   */
+  renderHistory () {
+    const panel = this.historyPanel
+    panel.innerHTML = ''
+
+    const header = document.createElement('div')
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;'
+    const heading = document.createElement('strong')
+    heading.textContent = 'Notifications'
+    const clearButton = document.createElement('button')
+    clearButton.textContent = 'Clear'
+    clearButton.disabled = this.history.length === 0
+    clearButton.onclick = () => this.clearHistory()
+    header.appendChild(heading)
+    header.appendChild(clearButton)
+    panel.appendChild(header)
+
+    if (this.history.length === 0) {
+      const empty = document.createElement('div')
+      empty.textContent = 'No notifications'
+      empty.style.padding = '6px'
+      panel.appendChild(empty)
+      return
+    }
+
+    Array.from(this.history).reverse().forEach(notification => {
+      const entry = document.createElement('div')
+      entry.className = 'notification-history-entry'
+      entry.style.cssText = 'padding: 6px; margin-bottom: 4px; background: var(--field-background); border: 1px solid var(--button-shadow);'
+
+      const header = document.createElement('div')
+      header.style.cssText = 'display: flex; align-items: center; gap: 6px; font-weight: bold;'
+      const icon = document.createElement('img')
+      icon.src = notification.icon
+      icon.style.cssText = 'width: 16px; height: 16px; object-fit: contain;'
+      const title = document.createElement('span')
+      title.textContent = notification.title
+      title.style.flexGrow = '1'
+      const time = document.createElement('span')
+      time.textContent = notification.time.toLocaleTimeString()
+      time.style.fontWeight = 'normal'
+      time.style.color = 'var(--disabled-text)'
+      header.appendChild(icon)
+      header.appendChild(title)
+      header.appendChild(time)
+      entry.appendChild(header)
+
+      if (notification.body) {
+        const body = document.createElement('div')
+        body.textContent = notification.body
+        body.style.marginTop = '2px'
+        entry.appendChild(body)
+      }
+
+      if (notification.actions.length) entry.appendChild(this.createActions(notification))
+      panel.appendChild(entry)
+    })
+  }
+
+  /**
+   * Close the history list when clicking anywhere outside of it or the tray.
+   * @private
+   * @param {MouseEvent} event - The mousedown event
+   */
+  onOutsideClick (event) {
+    if (this.historyPanel?.contains(event.target)) return
+    if (this.taskbar.notificationContainer.contains(event.target)) return
+    this.closeHistory()
+  }
+}
+
+export { NotificationCenter }
@@ -0,0 +1,206 @@
+/** @import {Window} from './Windows/window.js' */
+/** @import Environment from './environment.js' */
+
+/**
+ * The windows a page URL asks for, by their route - the `defaultConfigs` key they're opened from.
+ * @typedef {Object} RouteState
+ * @property {string[]} open - Routes of the open windows, back to front
+ * @property {string|null} focused - Route of the focused window
+ */
+
+/** @type {string} - Query parameter listing the open windows, e.g. ?open=projects,music */
+const OPEN_PARAM = 'open'
+
+/** @type {string} - Start of a hash naming the focused window, e.g. #/projects */
+const HASH_PREFIX = '#/'
+
+/**
+ * Keeps the page URL in step with the open windows, so links can point at a specific window.
+ * `/#/projects` opens and focuses the projects window, `?open=projects,music` opens both.
+ * Focusing or closing a window pushes a history entry, and the back and forward buttons
+ * close or re-open windows to match the entry.
+ * @class Router
+ * @public
+ */
+export default class Router {
+  /**
+   * @private
+   * @type {Environment}
+   */
+  #env
+
+  /**
+   * @private
+   * @type {boolean} - Whether windows are being opened or closed to match the URL, so the changes aren't pushed back
+   */
+  #applying = false
+
+  /**
+   * @param {Environment} env - The environment whose windows are routed
+   * @param {{location?: Location, history?: History, target?: EventTarget}} [options] - Browser objects, for embedding or testing
+   */
+  constructor (env, {
+    location = globalThis.location,
+    history = globalThis.history,
+    target = globalThis.window
+  } = {}) {
+    this.#env = env
+    this.location = location
+    this.history = history
+    this.target = target
+
+    /** @type {boolean} - Whether the router is following the URL */
+    this.started = false
+
+    this.onPopState = this.onPopState.bind(this)
+  }
+
+  /**
+   * Read the routes out of a URL.
+   * @param {string} href - The URL
+   * @returns {RouteState}
+   */
+  static parse (href) {
+    const url = new URL(href)
+    const open = (url.searchParams.get(OPEN_PARAM) || '')
+      .split(',')
+      .map(route => route.trim())
+      .filter(Boolean)
+
+    const focused = url.hash.startsWith(HASH_PREFIX)
+      ? decodeURIComponent(url.hash.slice(HASH_PREFIX.length)) || null
+      : null
+    if (focused) open.push(focused)
+
+    return { open: [...new Set(open)], focused }
+  }
+
+  /**
+   * Write routes into a URL, keeping its other query parameters.
+   * The focused window goes in the hash, the rest in the open parameter.
+   * @param {string} href - The URL to start from
+   * @param {RouteState} state - The routes
+   * @returns {string}
+   */
+  static format (href, state) {
+    const url = new URL(href)
+    const others = state.open.filter(route => route !== state.focused)
+
+    if (others.length > 0) url.searchParams.set(OPEN_PARAM, others.join(','))
+    else url.searchParams.delete(OPEN_PARAM)
+    // Commas are fine in a query string, and easier to read than %2C
+    url.search = url.search.replace(/%2C/gi, ',')
+
+    if (state.focused) url.hash = HASH_PREFIX + encodeURIComponent(state.focused)
+    else if (url.hash.startsWith(HASH_PREFIX)) url.hash = ''
+
+    // An empty hash still leaves a '#' on the URL
+    return url.href.replace(/#$/, '')
+  }
+
+  /**
+   * Whether the page URL links to any windows.
+   * @returns {boolean}
+   */
+  get linksWindows () {
+    return Router.parse(this.location.href).open.length > 0
+  }
+
+  /**
+   * The routes of the open windows. Windows not opened from a default config aren't routed.
+   * @returns {RouteState}
+   */
+  getState () {
+    const open = Array.from(this.#env.windows.values())
+      .map(window => window.route)
+      .filter(Boolean)
+
+    return {
+      open: [...new Set(open)],
+      focused: this.#env.activeWindow?.route || null
+    }
+  }
+
+  /**
+   * The open window for a route.
+   * @param {string} route - The route
+   * @returns {Window|undefined}
+   */
+  windowFor (route) {
+    return Array.from(this.#env.windows.values()).find(window => window.route === route)
+  }
+
+  /**
+   * Start following the URL: open the windows it asks for, and keep it updated from then on.
+   * @returns {Promise<Window[]>} - The windows opened for the URL
+   */
+  async start () {
+    if (this.started) return []
+    this.started = true
+    this.target.addEventListener('popstate', this.onPopState)
+
+    // Windows restored from the saved session stay open, even when the URL doesn't list them
+    return this.apply(Router.parse(this.location.href), false)
+  }
+
+  /**
+   * Stop following the URL.
+   */
+  stop () {
+    this.started = false
+    this.target.removeEventListener('popstate', this.onPopState)
+  }
+
+  /**
+   * Open and close routed windows to match the routes, then focus the focused route.
+   * Unknown routes are skipped. The current history entry is replaced rather than a new one pushed.
+   * Windows are opened one after another, so they stack in the order of the routes.
+   * @param {RouteState} state - The routes
+   * @param {boolean} [close] - Whether to close routed windows the routes don't list
+   * @returns {Promise<Window[]>} - The windows opened
+   */
+  async apply (state, close = true) {
+    this.#applying = true
+    try {
+      if (close) {
+        Array.from(this.#env.windows.values())
+          .filter(window => window.route && !state.open.includes(window.route))
+          .forEach(window => window.emit('close', window))
+      }
+
+      const opened = []
+      for (const route of state.open) {
+        if (this.windowFor(route)) continue
+        const window = await this.#env.openDefault(route)
+        if (window) opened.push(window)
+      }
+
+      const focused = state.focused && this.windowFor(state.focused)
+      if (focused) this.#env.focusWindow(focused)
+
+      return opened
+    } finally {
+      this.#applying = false
+      if (this.started) this.history.replaceState(null, '', Router.format(this.location.href, this.getState()))
+    }
+  }
+
+  /**
+   * Push a history entry for the current windows, if they changed the URL.
+   */
+  update () {
+    if (!this.started || this.#applying) return
+    const href = Router.format(this.location.href, this.getState())
+    if (href !== this.location.href) this.history.pushState(null, '', href)
+  }
+
+  /**
+   * Match the windows to the URL after the back or forward button.
+   * @private
+   */
+  onPopState () {
+    this.apply(Router.parse(this.location.href))
+  }
+}
+
+export { Router }
@@ -0,0 +1,199 @@
+import Menu from './Menu.js'
+/** @import {MenuItem} from './Menu.js' */
+
+/**
+ * @typedef {Object} StartMenuEntry
+ * @property {string} label - The text shown for the entry
+ * @property {string} [icon] - Path to an icon image for the entry
+ * @property {string} [config] - Key of the defaultConfigs entry of the window to open
+ * @property {string} [windowClass] - Registered name of the window class to open. Defaults to 'Window'
+ * @property {string} [href] - External link to open in a new tab
+ * @property {StartMenuEntry[]} [children] - Entries of a submenu
+ * @property {boolean} [separator] - Whether the entry is a separator line
+ */
+
+/**
+ * The Start button and its cascading program launcher menu.
+ * The menu is built from a declarative tree of entries, which can be extended at runtime.
+ * @class StartMenu
+ * @public
+ */
+export default class StartMenu {
+  /**
+   * @private
+   * @type {StartMenuEntry[]}
+   */
+  #entries
+
+  /**
+   * @private
+   * @type {function(StartMenuEntry): void} - Opens the window or link of an entry
+   */
+  #launch
+
+  /**
+   * @private
+   * @type {Menu}
+   */
+  #menu
+
+  /**
+   * @param {StartMenuEntry[]} entries - The entry tree of the menu
+   * @param {function(StartMenuEntry): void} launch - Called to launch an activated entry
+   * @param {HTMLElement} [container] - Element the menu panels are appended to
+   */
+  constructor (entries, launch, container = document.body) {
+    this.#entries = entries
+    this.#launch = launch
+
+    this.button = document.createElement('button')
+    this.button.id = 'start-button'
+    this.button.className = 'taskbar-item'
+    this.button.textContent = 'Start'
+    this.button.setAttribute('aria-haspopup', 'true')
+    this.button.style.cssText = `
+      display: flex;
+      align-items: center;
+      padding: 0 10px;
+      margin-right: 5px;
+      font-weight: bold;
+      font-size: 1rem;
+      cursor: pointer;
+      white-space: nowrap;
+    `
+    this.button.addEventListener('click', () => this.toggle())
+
+    this.#menu = new Menu([], {
+      container,
+      onClose: () => {
+        document.removeEventListener('mousedown', this.onOutsideClick, true)
+        this.button.classList.remove('active')
+      }
+    })
+
+    this.onOutsideClick = this.onOutsideClick.bind(this)
+  }
+
+  /**
+   * Whether the menu is open.
+   * @returns {boolean}
+   */
+  get isOpen () {
+    return this.#menu.isOpen
+  }
+
+  /**
+   * Convert an entry tree into menu items.
+   * @private
+   * @param {StartMenuEntry[]} entries - The entries to convert
+   * @returns {MenuItem[]}
+   */
+  toMenuItems (entries) {
+    return entries.map(entry => {
+      if (entry.separator) return { separator: true }
+      return {
+        label: entry.label,
+        icon: entry.icon,
+        children: entry.children ? this.toMenuItems(entry.children) : undefined,
+        action: entry.children ? undefined : () => this.#launch(entry)
+      }
+    })
+  }
+
+  /**
+   * Open the menu underneath the Start button.
+   */
+  open () {
+    if (this.isOpen) return
+    this.#menu.setItems(this.toMenuItems(this.#entries))
+    const rect = this.button.getBoundingClientRect()
+    this.#menu.open(rect.left, rect.bottom)
+    this.#menu.moveHighlight(1)
+    this.button.classList.add('active')
+    document.addEventListener('mousedown', this.onOutsideClick, true)
+  }
+
+  /**
+   * Close the menu and its submenus.
+   */
+  close () {
+    this.#menu.close()
+  }
+
+  /**
+   * Open the menu if closed, close it if open.
+   */
+  toggle () {
+    if (this.isOpen) this.close()
+    else this.open()
+  }
+
+  /**
+   * Close the menu when clicking anywhere outside of it.
+   * @private
+   * @param {MouseEvent} event - The mousedown event
+   */
+  onOutsideClick (event) {
+    if (this.#menu.contains(event.target) || this.button.contains(event.target)) return
+    this.close()
+  }
+
+  /**
+   * Find the entry list of a submenu by the labels leading to it.
+   * @private
+   * @param {string[]} path - Labels of the submenus, from the top level down
+   * @param {boolean} [create] - Whether to create missing submenus along the path
+   * @returns {StartMenuEntry[]|null} - The entries, or null if the submenu doesn't exist
+   */
+  resolvePath (path, create = false) {
+    let entries = this.#entries
+    for (const label of path) {
+      let parent = entries.find(entry => entry.label === label && entry.children)
+      if (!parent) {
+        if (!create) return null
+        parent = { label, children: [] }
+        entries.push(parent)
+      }
+      entries = parent.children
+    }
+    return entries
+  }
+
+  /**
+   * Replace the whole entry tree.
+   * @param {StartMenuEntry[]} entries - The new entry tree
+   */
+  setEntries (entries) {
+    this.close()
+    this.#entries = entries
+  }
+
+  /**
+   * Register an entry at runtime.
+   * @param {StartMenuEntry} entry - The entry to add
+   * @param {string[]} [path] - Labels of the submenu to add it to. Defaults to the top level
+   */
+  register (entry, path = []) {
+    if (!entry.separator && !entry.label) throw new Error('Start menu entries need a label')
+    if (!entry.separator && !entry.children && !entry.config && !entry.href) {
+      throw new Error(`Start menu entry "${entry.label}" needs a config, href or children`)
+    }
+    this.resolvePath(path, true).push(entry)
+  }
+
+  /**
+   * Remove a previously registered entry.
+   * @param {string} label - The label of the entry
+   * @param {string[]} [path] - Labels of the submenu it is in. Defaults to the top level
+   * @returns {boolean} - Whether an entry was removed
+   */
+  unregister (label, path = []) {
+    const entries = this.resolvePath(path)
+    const index = entries ? entries.findIndex(entry => entry.label === label) : -1
+    if (index === -1) return false
+    entries.splice(index, 1)
+    return true
+  }
+}
+
+export { StartMenu }
@@ -1,10 +1,27 @@
+import {SUNKEN_BEVEL} from './themes.js'
+import Clock from './Clock.js'
+/** @import {Window} from './Windows/window.js' */
+/** @import {ClockOptions} from './Clock.js' */
+
+/**
+ * @typedef {Object} TaskbarLauncher
+ * @property {string} title - The text of the launcher button
+ * @property {Function} action - Called when the launcher is clicked
+ * @property {string} [id] - Unique launcher id. Defaults to the lowercased title
+ */
+
 /**
  * @typedef {Object} TaskbarConfig
- * @property {string} background_color - The background color of the taskbar
- * @property {string} text_color - The text color of the taskbar
+ * @property {string} [background_color] - The background color of the taskbar. Defaults to the theme's
+ * @property {string} [text_color] - The text color of the taskbar. Defaults to the theme's
+ * @property {TaskbarLauncher[]} [launchers] - The pinned launcher buttons
+ * @property {number} [scrollAmount] - How far the scroll buttons scroll the open windows, in px
+ * @property {ClockOptions} [clock] - How the clock in the tray shows the time
  */
 
 /**
+ * The taskbar along the top of the environment. Owns the pinned launchers,
+ * the buttons of the open windows, their scroll buttons and the notification tray.
  * @class Taskbar
  * @public
  * @constructor
@@ -29,12 +46,24 @@ export default class Taskbar {
      */
     element
 
+    /**
+     * @public
+     * @type {HTMLDivElement} - The pinned launcher container
+     */
+    launcherContainer
+
     /**
      * @public
      * @type {HTMLDivElement} - The notification container for the taskbar
      */
     notificationContainer
 
+    /**
+     * @public
+     * @type {Clock} - The clock in the corner of the notification tray
+     */
+    clock
+
     /**
      * @public
      * @type {HTMLButtonElement} - The left scroll button for the taskbar
@@ -47,13 +76,31 @@ export default class Taskbar {
      */
     rightScrollButton
 
+    /**
+     * @public
+     * @type {Map<string, HTMLButtonElement>} - Pinned launcher buttons by launcher id
+     */
+    launchers = new Map()
+
+    /**
+     * @public
+     * @type {Map<string, HTMLButtonElement>} - Open window buttons by window id
+     */
+    items = new Map()
+
 
 
     /**
      * @param {TaskbarConfig} config - The configuration for the taskbar
      */
     constructor(config) {
-        this.#config = config || {}
+        this.#config = {
+            scrollAmount: 200,
+            launchers: [],
+            background_color: 'var(--taskbar-background)',
+            text_color: 'var(--taskbar-text)',
+            ...config
+        }
         this.element = document.createElement('div')
         this.element.id = 'taskbar'
         this.element.style.cssText = `
@@ -67,15 +114,46 @@ export default class Taskbar {
         align-items: center;
         padding: 0 10px;
         z-index: 9999;
-        background-color: ${config.background_color};
-        color: ${config.text_color};
+        background-color: ${this.#config.background_color};
+        color: ${this.#config.text_color};
         overflow: hidden;
         cursor: default;
         `
 
+        this.launcherContainer = document.createElement('div')
+        this.launcherContainer.id = 'taskbar-launchers'
+        this.launcherContainer.style.display = 'flex'
+        this.launcherContainer.style.alignItems = 'center'
+        this.element.appendChild(this.launcherContainer)
+
+        this.#config.launchers.forEach(launcher => this.addLauncher(launcher))
+
+        this.createScrollButtons()
         this.createNotificationContainer()
     }
 
+    /**
+     * Create a taskbar button.
+     * @private
+     * @param {string} title - The button text
+     * @returns {HTMLButtonElement}
+     */
+    createButton(title) {
+        const button = document.createElement('button')
+        button.className = 'taskbar-item'
+        button.style.padding = '0 10px'
+        button.style.cursor = 'pointer'
+        button.style.display = 'flex'
+        button.style.alignItems = 'center'
+        button.style.fontSize = '1rem'
+        button.style.whiteSpace = 'nowrap'
+        button.style.minWidth = '20px'
+        button.style.textOverflow = 'ellipsis'
+        button.style.overflow = 'hidden'
+        button.textContent = title
+        return button
+    }
+
     createNotificationContainer() {
         // Regular notif center box in the right hand corner
         this.notificationContainer = document.createElement('div')
@@ -86,28 +164,18 @@ export default class Taskbar {
         this.notificationContainer.style.height = '25px'
         this.notificationContainer.style.minWidth = '2px'
         this.notificationContainer.style.maxWidth = '20vw'
-        this.notificationContainer.style.boxShadow = 'rgb(255, 255, 255) -1px -1px inset, rgb(0, 0, 0) 1px 1px inset, rgb(128, 128, 128) -2px -2px inset, rgb(223, 223, 223) 2px 2px inset'
+        this.notificationContainer.style.boxShadow = SUNKEN_BEVEL
         this.notificationContainer.style.padding = '2px 5px'
         this.notificationContainer.style.justifyContent = 'end'
         this.notificationContainer.style.marginLeft = 'auto'
         this.notificationContainer.style.alignItems = 'center'
 
-        // Clock in the corner
-        this.datetime = new Date()
-        const time = document.createElement('div')
-        time.textContent = this.datetime.toLocaleTimeString()
-        time.style.fontSize = '0.75rem'
-        time.style.color = 'rgb(0, 0, 0)'
-        time.style.whiteSpace = 'nowrap'
-        time.style.overflow = 'hidden'
-        time.style.textOverflow = 'ellipsis'
-
-        setInterval(() => {
-            this.datetime.setSeconds(this.datetime.getSeconds() + 1)
-            time.textContent = this.datetime.toLocaleTimeString()
-        }, 1000)
-
-        this.notificationContainer.appendChild(time)
+        // Clock in the corner. Clicking it is kept from opening the notification history,
+        // so it can be double-clicked
+        this.clock = new Clock(this.#config.clock)
+        this.clock.element.addEventListener('click', e => e.stopPropagation())
+
+        this.notificationContainer.appendChild(this.clock.element)
         this.element.appendChild(this.notificationContainer)
     }
 
@@ -124,6 +192,20 @@ export default class Taskbar {
         setTimeout(() => this.updateScrollButtons(), 25)
     }
 
+    /**
+     * Show the scroll buttons only when there are hidden window buttons in their direction.
+     */
+    updateScrollButtons() {
+        const container = this.taskbarScrollContainer
+        const scrollLeft = container.scrollLeft
+        const scrollWidth = container.scrollWidth
+        const clientWidth = container.clientWidth
+
+        this.leftScrollButton.style.opacity = scrollLeft > 0 ? 1 : 0
+        this.rightScrollButton.style.opacity =
+          (scrollWidth > clientWidth && scrollLeft + clientWidth < scrollWidth) ? 1 : 0
+    }
+
     createScrollButtons() {
         // Left scroll button
         this.leftScrollButton = document.createElement('button')
@@ -143,9 +225,9 @@ export default class Taskbar {
           margin-left: auto;
           margin-right: 5px;
         `
-        this.leftScrollButton.addEventListener('click', () => this.scroll(-200))
+        this.leftScrollButton.addEventListener('click', () => this.scroll(-this.#config.scrollAmount))
         this.element.appendChild(this.leftScrollButton)
-    
+
         // Create scroll container
         this.taskbarScrollContainer = document.createElement('div')
         this.taskbarScrollContainer.id = 'taskbar-scroll-container'
@@ -155,12 +237,12 @@ export default class Taskbar {
         this.taskbarScrollContainer.style.height = '25px'
         this.taskbarScrollContainer.style.minWidth = '0'
         this.taskbarScrollContainer.style.maxWidth = '40vw'  // Leave space for scroll buttons
-        this.taskbarScrollContainer.style.boxShadow = 'rgb(255, 255, 255) -1px -1px inset, rgb(0, 0, 0) 1px 1px inset, rgb(128, 128, 128) -2px -2px inset, rgb(223, 223, 223) 2px 2px inset'
+        this.taskbarScrollContainer.style.boxShadow = SUNKEN_BEVEL
         this.taskbarScrollContainer.style.alignItems = 'center'
         this.taskbarScrollContainer.style.padding = '2px 5px'
-    
+
         this.element.appendChild(this.taskbarScrollContainer)
-    
+
         // Right scroll button
         this.rightScrollButton = document.createElement('button')
         this.rightScrollButton.innerHTML = '&#10095;'  // Right chevron
@@ -180,10 +262,113 @@ export default class Taskbar {
           margin-left: 5px;
           margin-right: auto;
         `
-        this.rightScrollButton.addEventListener('click', () => this.scroll(200))
+        this.rightScrollButton.addEventListener('click', () => this.scroll(this.#config.scrollAmount))
         this.element.appendChild(this.rightScrollButton)
-    
+
         // Initialize scroll state
         this.updateScrollButtons()
     }
-}
\ No newline at end of file
+
+    /**
+     * Add a pinned launcher button.
+     * @param {TaskbarLauncher} launcher - The launcher to add
+     * @returns {HTMLButtonElement} - The launcher button
+     */
+    addLauncher(launcher) {
+        const id = launcher.id || launcher.title.toLowerCase()
+        if (this.launchers.has(id)) this.removeLauncher(id)
+
+        const button = this.createButton(launcher.title)
+        button.id = `taskbar-item-${id}`
+        button.onclick = launcher.action
+        this.launcherContainer.appendChild(button)
+        this.launchers.set(id, button)
+        return button
+    }
+
+    /**
+     * Remove a pinned launcher button.
+     * @param {string} id - The launcher id
+     * @returns {boolean} - Whether a launcher was removed
+     */
+    removeLauncher(id) {
+        const button = this.launchers.get(id)
+        if (!button) return false
+        button.remove()
+        this.launchers.delete(id)
+        return true
+    }
+
+    /**
+     * Add a button for an open window, toggling its minimized state when clicked.
+     * @param {Window} window - The window to add a button for
+     * @returns {HTMLButtonElement} - The window button
+     */
+    pinWindow(window) {
+        const button = this.createButton(window.title)
+        button.className = `taskbar-item taskbar-item-${window.id}`
+        button.onclick = () => window.toggleMinimize()
+        this.taskbarScrollContainer.appendChild(button)
+        this.items.set(window.id, button)
+        this.updateScrollButtons()
+        return button
+    }
+
+    /**
+     * Remove the button of a window.
+     * @param {string} id - The window id
+     * @returns {boolean} - Whether a button was removed
+     */
+    unpinWindow(id) {
+        const button = this.items.get(id)
+        if (!button) return false
+        button.remove()
+        this.items.delete(id)
+        this.updateScrollButtons()
+        return true
+    }
+
+    /**
+     * Change the text of a window button.
+     * @param {string} id - The window id
+     * @param {string} title - The new button text
+     */
+    setItemTitle(id, title) {
+        const button = this.items.get(id)
+        if (button) button.textContent = title
+    }
+
+    /**
+     * Show a window button as pressed, and all others as raised.
+     * @param {string|null} id - The window id, or null to raise all buttons
+     */
+    highlight(id) {
+        this.items.forEach((button, itemId) => {
+            button.classList.toggle('active', itemId === id)
+        })
+        this.items.get(id)?.scrollIntoView({block: 'nearest', inline: 'nearest'})
+    }
+
+    /**
+     * Move a window button to a new position.
+     * @param {string} id - The window id
+     * @param {number} index - The new position, from the left
+     */
+    reorder(id, index) {
+        const button = this.items.get(id)
+        if (!button) return
+
+        const others = Array.from(this.taskbarScrollContainer.children).filter(child => child !== button)
+        const clamped = Math.max(0, Math.min(index, others.length))
+        this.taskbarScrollContainer.insertBefore(button, others[clamped] || null)
+
+        // Keep the Map in display order
+        const ordered = Array.from(this.taskbarScrollContainer.children)
+        const entries = Array.from(this.items.entries())
+          .sort(([, a], [, b]) => ordered.indexOf(a) - ordered.indexOf(b))
+        this.items = new Map(entries)
+        this.updateScrollButtons()
+    }
+}
+
+export {Taskbar}
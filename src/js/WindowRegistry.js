@@ -0,0 +1,196 @@
+import {Window} from './Windows/window.js'
+/** @import {WindowConfig} from './Windows/window.js' */
+
+/**
+ * Loads the class of a window type, usually with a dynamic import so its code is only
+ * downloaded when the first window of the type is opened, e.g. `() => import('./Windows/musicplayer.js')`.
+ * Resolves to the module, whose default export is the class, or to the class itself.
+ * @callback WindowLoader
+ * @returns {Promise<{default: typeof Window}|typeof Window>}
+ */
+
+/**
+ * @typedef {Object} WindowType
+ * @property {string} name - The registered name
+ * @property {WindowLoader|null} loader - Loads the class, or null if it was registered loaded
+ * @property {WindowConfig} defaults - Config fields windows of the type start from
+ * @property {typeof Window|null} WindowClass - The class, once it's loaded
+ * @property {Promise<typeof Window>|null} loading - The load in progress
+ */
+
+/**
+ * Thrown for window types that aren't registered, are registered twice, or don't load a Window class.
+ * @class WindowTypeError
+ * @public
+ */
+export class WindowTypeError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor (message) {
+    super(message)
+    this.name = 'WindowTypeError'
+  }
+}
+
+/**
+ * Whether a value is the Window class or one of its subclasses.
+ * @param {unknown} value - The value
+ * @returns {boolean}
+ */
+function isWindowClass (value) {
+  return value === Window || (typeof value === 'function' && value.prototype instanceof Window)
+}
+
+/**
+ * The window types the environment can open, by name.
+ * Windows are saved with the name of their type rather than their class name, which minifiers rename.
+ * Classes are loaded the first time a window of their type is opened, and kept from then on.
+ * @class WindowRegistry
+ * @public
+ */
+export default class WindowRegistry {
+  /**
+   * @private
+   * @type {Map<string, WindowType>}
+   */
+  #types = new Map()
+
+  /**
+   * @private
+   * @type {Map<typeof Window, string>} - Names of the loaded classes
+   */
+  #names = new Map()
+
+  /**
+   * Register a window type.
+   * @param {string} name - Name the type is opened, saved and restored by
+   * @param {WindowLoader|typeof Window} loader - Loads the class, or the class itself
+   * @param {WindowConfig} [defaults] - Config fields windows of the type start from
+   * @throws {WindowTypeError} - If the name is taken, or the loader is neither a function nor a Window class
+   */
+  register (name, loader, defaults = {}) {
+    if (typeof name !== 'string' || name === '') throw new WindowTypeError('Window types need a name')
+    if (this.#types.has(name)) throw new WindowTypeError(`Window type "${name}" is already registered`)
+    if (typeof loader !== 'function') throw new WindowTypeError(`Window type "${name}" needs a loader or a Window class`)
+
+    const loaded = isWindowClass(loader)
+    /** @type {WindowType} */
+    const type = { name, loader: loaded ? null : loader, defaults, WindowClass: null, loading: null }
+    if (loaded) this.#resolve(type, loader)
+    this.#types.set(name, type)
+  }
+
+  /**
+   * Whether a type is registered.
+   * @param {string} name - The type name
+   * @returns {boolean}
+   */
+  has (name) {
+    return this.#types.has(name)
+  }
+
+  /**
+   * The registered type names, in the order they were registered.
+   * @returns {string[]}
+   */
+  names () {
+    return Array.from(this.#types.keys())
+  }
+
+  /**
+   * The config fields windows of a type start from.
+   * @param {string} name - The type name
+   * @returns {WindowConfig}
+   */
+  defaults (name) {
+    return this.#types.get(name)?.defaults || {}
+  }
+
+  /**
+   * The class of a type, if it has been loaded.
+   * @param {string} name - The type name
+   * @returns {typeof Window|undefined}
+   */
+  get (name) {
+    return this.#types.get(name)?.WindowClass || undefined
+  }
+
+  /**
+   * The name a loaded class is registered under.
+   * @param {typeof Window} WindowClass - The class
+   * @returns {string|undefined}
+   */
+  nameOf (WindowClass) {
+    return this.#names.get(WindowClass)
+  }
+
+  /**
+   * Load the class of a type. Loading is only done once, and retried if it fails.
+   * @param {string} name - The type name
+   * @returns {Promise<typeof Window>}
+   * @throws {WindowTypeError} - If the type isn't registered, or its loader doesn't resolve to a Window class
+   */
+  async load (name) {
+    const type = this.#types.get(name)
+    if (!type) {
+      throw new WindowTypeError(`Unknown window type "${name}" - the registered types are ${this.names().join(', ')}`)
+    }
+    if (type.WindowClass) return type.WindowClass
+
+    type.loading ??= Promise.resolve()
+      .then(() => type.loader())
+      .then(loaded => {
+        const WindowClass = isWindowClass(loaded) ? loaded : loaded?.default
+        if (!isWindowClass(WindowClass)) {
+          throw new WindowTypeError(`The loader of window type "${name}" didn't resolve to a Window class`)
+        }
+        return this.#resolve(type, WindowClass)
+      })
+      .finally(() => { type.loading = null })
+    return type.loading
+  }
+
+  /**
+   * The name of a class that was imported directly rather than loaded by the registry.
+   * A class imported for a registered type, but not loaded yet, counts as loaded from then on.
+   * Classes of no registered type are registered under the name given.
+   * @param {typeof Window} WindowClass - The class
+   * @param {string} [name] - Name to look it up or register it under. Defaults to the class name
+   * @returns {string}
+   * @throws {WindowTypeError} - If a different class is registered under the name
+   */
+  adopt (WindowClass, name = WindowClass.name) {
+    const known = this.nameOf(WindowClass)
+    if (known) return known
+
+    const type = this.#types.get(name)
+    if (!type) {
+      this.register(name, WindowClass)
+      return name
+    }
+    if (type.WindowClass) throw new WindowTypeError(`Window type "${name}" is already registered with a different class`)
+    this.#resolve(type, WindowClass)
+    return name
+  }
+
+  /**
+   * Record the loaded class of a type.
+   * @private
+   * @param {WindowType} type - The type
+   * @param {typeof Window} WindowClass - Its class
+   * @returns {typeof Window}
+   * @throws {WindowTypeError} - If the class is already registered under another name
+   */
+  #resolve (type, WindowClass) {
+    const other = this.#names.get(WindowClass)
+    if (other && other !== type.name) {
+      throw new WindowTypeError(`Window type "${type.name}" loaded a class already registered as "${other}"`)
+    }
+    type.WindowClass = WindowClass
+    this.#names.set(WindowClass, type.name)
+    return WindowClass
+  }
+}
+
+export { WindowRegistry }
@@ -0,0 +1,240 @@
+import {Window} from './window.js'
+import Clock from '../Clock.js'
+import {SUNKEN_BEVEL} from '../themes.js'
+/** @import {WindowConfig} from './window.js' */
+/** @import {ClockOptions} from '../Clock.js' */
+
+/**
+ * A year and month shown by the calendar, the month counted from 0 like Date's.
+ * @typedef {{year: number, month: number}} CalendarMonth
+ */
+
+/**
+ * The Date/Time Properties window: a month calendar, and the time in the taskbar clock's time zone.
+ * Today is highlighted, and other months can be browsed with the month and year fields.
+ * @extends Window
+ */
+export default class DateTimeProperties extends Window {
+  /**
+   * @param {string} id - The window identifier
+   * @param {WindowConfig & {clock?: ClockOptions, shown?: CalendarMonth}} config - The window configuration,
+   * with the taskbar clock's options and the month to show
+   */
+  constructor (id, config) {
+    super(id, {
+      ...config,
+      title: config.title || 'Date/Time Properties',
+      width: config.width || 340,
+      height: config.height || 400,
+      resizable: config.resizable ?? false
+    })
+
+    /** @type {ClockOptions} */
+    this.clockOptions = { ...config.clock, seconds: true }
+    /** @type {Clock} - The clock under the calendar */
+    this.clock = new Clock(this.clockOptions)
+
+    const today = this.today()
+    /** @type {CalendarMonth} - The month the calendar shows */
+    this.shown = config.shown || { year: today.year, month: today.month }
+
+    this.createControls()
+    this.renderCalendar()
+  }
+
+  /**
+   * Today's date in the clock's time zone.
+   * @returns {{year: number, month: number, day: number}}
+   */
+  today () {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      timeZone: this.clockOptions.timeZone
+    }).formatToParts(this.clock.now())
+    const part = type => Number(parts.find(p => p.type === type).value)
+    return { year: part('year'), month: part('month') - 1, day: part('day') }
+  }
+
+  /**
+   * Build the month and year fields, the calendar, the clock and the OK button.
+   * @private
+   */
+  createControls () {
+    this.contentArea.innerHTML = ''
+    this.contentArea.style.display = 'flex'
+    this.contentArea.style.flexDirection = 'column'
+    this.contentArea.style.gap = '8px'
+
+    const dateSet = document.createElement('fieldset')
+    const dateLegend = document.createElement('legend')
+    dateLegend.textContent = 'Date'
+    dateSet.appendChild(dateLegend)
+
+    const row = document.createElement('div')
+    row.className = 'field-row'
+    row.style.justifyContent = 'space-between'
+
+    const monthName = new Intl.DateTimeFormat(this.clockOptions.locale, { month: 'long', timeZone: 'UTC' })
+    this.monthSelect = document.createElement('select')
+    this.monthSelect.setAttribute('aria-label', 'Month')
+    for (let month = 0; month < 12; month++) {
+      this.monthSelect.add(new Option(monthName.format(Date.UTC(2000, month, 1)), String(month)))
+    }
+    this.monthSelect.addEventListener('change', () => this.showMonth({ ...this.shown, month: Number(this.monthSelect.value) }))
+
+    this.yearInput = document.createElement('input')
+    this.yearInput.type = 'number'
+    this.yearInput.min = '1'
+    this.yearInput.max = '9999'
+    this.yearInput.style.width = '70px'
+    this.yearInput.setAttribute('aria-label', 'Year')
+    this.yearInput.addEventListener('change', () => {
+      const year = Number(this.yearInput.value)
+      if (Number.isInteger(year) && year >= 1 && year <= 9999) this.showMonth({ ...this.shown, year })
+      else this.yearInput.value = String(this.shown.year)
+    })
+
+    row.append(this.monthSelect, this.yearInput)
+
+    this.calendar = document.createElement('table')
+    this.calendar.className = 'datetime-calendar'
+    this.calendar.style.cssText = `
+      width: 100%;
+      margin-top: 6px;
+      border-collapse: collapse;
+      text-align: center;
+      background: var(--field-background);
+      box-shadow: ${SUNKEN_BEVEL};
+      padding: 2px;
+    `
+    dateSet.append(row, this.calendar)
+
+    const timeSet = document.createElement('fieldset')
+    const timeLegend = document.createElement('legend')
+    timeLegend.textContent = 'Time'
+    timeSet.appendChild(timeLegend)
+
+    this.clock.element.className = 'datetime-clock'
+    this.clock.element.style.fontSize = '1.5em'
+    this.clock.element.style.color = 'var(--text-color)'
+    this.clock.element.style.textAlign = 'center'
+
+    const zone = document.createElement('p')
+    zone.className = 'datetime-zone'
+    zone.style.cssText = 'margin: 6px 0 0; text-align: center;'
+    zone.textContent = `Time zone: ${this.timeZoneLabel()}`
+    timeSet.append(this.clock.element, zone)
+
+    const buttons = document.createElement('div')
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; margin-top: auto;'
+    this.okButton = document.createElement('button')
+    this.okButton.textContent = 'OK'
+    this.okButton.onclick = e => {
+      e.stopPropagation()
+      this.emit('close', this)
+    }
+    buttons.appendChild(this.okButton)
+
+    this.contentArea.append(dateSet, timeSet, buttons)
+  }
+
+  /**
+   * The clock's time zone and its offset from GMT, e.g. 'Europe/London (GMT+01:00)'.
+   * @returns {string}
+   */
+  timeZoneLabel () {
+    const format = new Intl.DateTimeFormat(this.clockOptions.locale, {
+      timeZone: this.clockOptions.timeZone,
+      timeZoneName: 'longOffset'
+    })
+    const offset = format.formatToParts(this.clock.now()).find(part => part.type === 'timeZoneName')?.value
+    const name = format.resolvedOptions().timeZone
+    return offset ? `${name} (${offset})` : name
+  }
+
+  /**
+   * Show another month on the calendar.
+   * @param {CalendarMonth} shown - The month
+   */
+  showMonth (shown) {
+    this.shown = shown
+    this.renderCalendar()
+  }
+
+  /**
+   * Draw the shown month, a week per row starting on Sunday, with today highlighted.
+   * @private
+   */
+  renderCalendar () {
+    const { year, month } = this.shown
+    this.monthSelect.value = String(month)
+    this.yearInput.value = String(year)
+
+    // setFullYear, since new Date() reads years below 100 as 19xx
+    const first = new Date(2000, 0, 1)
+    first.setFullYear(year, month, 1)
+    const offset = first.getDay()
+    // Day 0 of the next month is the last day of this one
+    const last = new Date(first)
+    last.setMonth(month + 1, 0)
+    const days = last.getDate()
+    const today = this.today()
+
+    const weekday = new Intl.DateTimeFormat(this.clockOptions.locale, { weekday: 'narrow', timeZone: 'UTC' })
+    const head = document.createElement('tr')
+    // 2023-01-01 was a Sunday
+    for (let day = 0; day < 7; day++) {
+      const cell = document.createElement('th')
+      cell.textContent = weekday.format(Date.UTC(2023, 0, 1 + day))
+      cell.style.padding = '2px'
+      head.appendChild(cell)
+    }
+
+    const rows = [head]
+    let week = null
+    for (let cell = 0; cell < Math.ceil((offset + days) / 7) * 7; cell++) {
+      if (cell % 7 === 0) {
+        week = document.createElement('tr')
+        rows.push(week)
+      }
+      const td = document.createElement('td')
+      td.style.padding = '2px'
+      const day = cell - offset + 1
+      if (day >= 1 && day <= days) {
+        td.textContent = String(day)
+        if (year === today.year && month === today.month && day === today.day) {
+          td.className = 'datetime-today'
+          td.style.background = 'var(--highlight)'
+          td.style.color = 'var(--highlight-text)'
+        }
+      }
+      week.appendChild(td)
+    }
+
+    this.calendar.replaceChildren(...rows)
+  }
+
+  /**
+   * Get the window state, including the clock options and the shown month
+   * @returns {object}
+   */
+  getState () {
+    return {
+      ...super.getState(),
+      clock: { ...this.clockOptions },
+      shown: { ...this.shown }
+    }
+  }
+
+  /**
+   * Stops the clock and removes the window from the DOM
+   */
+  destroy () {
+    this.clock.stop()
+    super.destroy()
+  }
+}
+
+export { DateTimeProperties }
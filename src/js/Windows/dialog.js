@@ -0,0 +1,204 @@
+import {Window} from './window.js'
+/** @import {WindowConfig} from './window.js' */
+
+/**
+ * The icon shown next to a dialog's message.
+ * @typedef {'info'|'warning'|'error'|'question'} MessageIcon
+ */
+
+/**
+ * @typedef {Object} DialogButton
+ * @property {string} label - The button text
+ * @property {*} value - The dialog's result when it's pressed. The text typed in, for prompts, if it's the default button
+ * @property {boolean} [default] - Whether Enter presses it. Defaults to the first button
+ */
+
+/**
+ * @typedef {Object} DialogOptions
+ * @property {string} [title] - The title bar text
+ * @property {MessageIcon} [icon] - The message icon
+ * @property {Window|string} [owner] - The window, or its id, the dialog belongs to. It's blocked until the dialog closes
+ */
+
+/**
+ * @typedef {Object} DialogConfigFields
+ * @property {string} message - The message, shown as text
+ * @property {MessageIcon} [messageIcon] - The icon next to the message
+ * @property {DialogButton[]} [buttons] - The buttons, left to right. Defaults to OK
+ * @property {*} [cancelValue] - The result when the dialog is closed without a button, or with Escape
+ * @property {string|null} [input] - The starting text of an input field under the message, or null for no field
+ */
+
+/** @type {Object.<MessageIcon, string>} - The message icons, drawn in the style of the classic ones */
+export const MESSAGE_ICONS = {
+  info: `<svg viewBox="0 0 32 32" width="32" height="32"><circle cx="16" cy="16" r="14" fill="#fff" stroke="#000080" stroke-width="2"/><rect x="14" y="13" width="4" height="11" fill="#000080"/><rect x="14" y="7" width="4" height="4" fill="#000080"/></svg>`,
+  warning: `<svg viewBox="0 0 32 32" width="32" height="32"><path d="M16 2 L31 29 H1 Z" fill="#ffff00" stroke="#000" stroke-width="2" stroke-linejoin="round"/><rect x="14" y="10" width="4" height="11" fill="#000"/><rect x="14" y="23" width="4" height="4" fill="#000"/></svg>`,
+  error: `<svg viewBox="0 0 32 32" width="32" height="32"><circle cx="16" cy="16" r="14" fill="#ff0000" stroke="#800000" stroke-width="2"/><path d="M10 10 L22 22 M22 10 L10 22" stroke="#fff" stroke-width="4"/></svg>`,
+  question: `<svg viewBox="0 0 32 32" width="32" height="32"><circle cx="16" cy="16" r="14" fill="#fff" stroke="#000080" stroke-width="2"/><path d="M11 12 a5 5 0 1 1 7 4.5 c-1.5 .8 -2 1.5 -2 3.5" fill="none" stroke="#000080" stroke-width="3.5"/><rect x="14" y="22" width="4" height="4" fill="#000080"/></svg>`
+}
+
+/**
+ * A message box: a message with an optional icon and input field, and a row of buttons.
+ * Pressing a button, Enter or Escape, or closing the window, emits 'result' once and closes it.
+ * Dialogs aren't saved with the session, since whatever waits on their result is gone after a reload.
+ * @extends Window
+ */
+export default class Dialog extends Window {
+  /**
+   * @param {string} id - The window identifier
+   * @param {WindowConfig & DialogConfigFields} config - The window configuration
+   */
+  constructor (id, config) {
+    super(id, {
+      ...config,
+      title: config.title || '',
+      content: '',
+      width: config.width || 360,
+      height: config.height || 150,
+      resizable: false,
+      persistent: false
+    })
+
+    /** @type {DialogButton[]} */
+    this.buttons = config.buttons?.length ? config.buttons : [{ label: 'OK', value: undefined }]
+    /** @type {*} */
+    this.cancelValue = config.cancelValue
+    /** @type {boolean} - Whether the result has been emitted */
+    this.settled = false
+
+    // Dialogs are as tall as their content, and can't be minimized
+    this.element.style.height = 'auto'
+    this.minimizeButton.remove()
+    this.maximizeButton.remove()
+    this.titleBar.ondblclick = null
+
+    this.createContent(config)
+
+    // The close button and the closeWindow shortcut cancel
+    this.on('close', () => this.settle(this.cancelValue))
+  }
+
+  /**
+   * Build the icon, message, input field and buttons.
+   * @private
+   * @param {DialogConfigFields} config - The dialog fields
+   */
+  createContent (config) {
+    this.contentArea.style.padding = '12px'
+    this.contentArea.style.overflow = 'visible'
+
+    const body = document.createElement('div')
+    body.className = 'dialog-body'
+    body.style.cssText = 'display: flex; gap: 12px; align-items: flex-start;'
+
+    if (MESSAGE_ICONS[config.messageIcon]) {
+      const icon = document.createElement('div')
+      icon.className = `dialog-icon dialog-icon-${config.messageIcon}`
+      icon.style.cssText = 'flex-shrink: 0; width: 32px; height: 32px;'
+      icon.innerHTML = MESSAGE_ICONS[config.messageIcon]
+      body.appendChild(icon)
+    }
+
+    const text = document.createElement('div')
+    text.style.cssText = 'flex-grow: 1; min-width: 0; display: flex; flex-direction: column; gap: 8px;'
+    this.messageElement = document.createElement('p')
+    this.messageElement.className = 'dialog-message'
+    this.messageElement.style.cssText = 'margin: 0; white-space: pre-wrap; overflow-wrap: anywhere;'
+    this.messageElement.textContent = config.message ?? ''
+    text.appendChild(this.messageElement)
+
+    /** @type {HTMLInputElement|null} */
+    this.input = null
+    if (typeof config.input === 'string') {
+      this.input = document.createElement('input')
+      this.input.type = 'text'
+      this.input.className = 'dialog-input'
+      this.input.value = config.input
+      this.input.style.width = '100%'
+      this.input.style.boxSizing = 'border-box'
+      text.appendChild(this.input)
+    }
+    body.appendChild(text)
+
+    const row = document.createElement('div')
+    row.className = 'dialog-buttons'
+    row.style.cssText = 'display: flex; justify-content: center; gap: 6px; margin-top: 12px;'
+    const defaultIndex = Math.max(0, this.buttons.findIndex(button => button.default))
+    /** @type {HTMLButtonElement[]} */
+    this.buttonElements = this.buttons.map((button, index) => {
+      const element = document.createElement('button')
+      element.textContent = button.label
+      element.style.minWidth = '75px'
+      if (index === defaultIndex) element.classList.add('default')
+      element.onclick = e => {
+        e.stopPropagation()
+        this.press(button)
+      }
+      row.appendChild(element)
+      return element
+    })
+    /** @type {DialogButton} */
+    this.defaultButton = this.buttons[defaultIndex]
+
+    this.contentArea.append(body, row)
+    this.element.addEventListener('keydown', e => this.onKeyDown(e))
+  }
+
+  /**
+   * Press the default button on Enter, and cancel on Escape.
+   * @private
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  onKeyDown (event) {
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      event.stopPropagation()
+      this.settle(this.cancelValue)
+      this.emit('close', this)
+    } else if (event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
+      // Enter on a focused button clicks that button instead
+      event.preventDefault()
+      event.stopPropagation()
+      this.press(this.defaultButton)
+    }
+  }
+
+  /**
+   * Put the keyboard focus in the input field, or on the default button.
+   */
+  focusControl () {
+    const control = this.input || this.buttonElements[this.buttons.indexOf(this.defaultButton)]
+    control?.focus()
+    this.input?.select()
+  }
+
+  /**
+   * Close the dialog with a button's result.
+   * @private
+   * @param {DialogButton} button - The pressed button
+   */
+  press (button) {
+    // The default button of a prompt returns the text typed in
+    const value = this.input && button === this.defaultButton ? this.input.value : button.value
+    this.settle(value)
+    this.emit('close', this)
+  }
+
+  /**
+   * Emit the result, unless it has been already.
+   * @private
+   * @param {*} value - The result
+   * @fires Dialog#result
+   */
+  settle (value) {
+    if (this.settled) return
+    this.settled = true
+    /**
+     * @event Dialog#result
+     * @type {*}
+     */
+    this.emit('result', value)
+  }
+}
+
+export { Dialog }
@@ -0,0 +1,218 @@
+import {Window} from './window.js'
+import {DEFAULT_DISPLAY, FONT_SIZES, WALLPAPER_MODES, getTheme, listThemes, themeProperties, wallpaperStyle} from '../themes.js'
+/** @import {WindowConfig} from './window.js' */
+/** @import {DisplaySettings} from '../themes.js' */
+/** @import {ManifestWallpaper} from '../manifest.js' */
+
+/** @type {Object.<string, string>} - Labels of the wallpaper modes */
+const MODE_LABELS = { tile: 'Tile', stretch: 'Stretch', center: 'Center' }
+
+/** @type {string[]} - Labels of the font sizes, smallest first */
+const FONT_LABELS = ['Small Fonts', 'Medium Fonts', 'Large Fonts']
+
+/**
+ * The Display Properties dialog, for picking the theme, wallpaper and font size.
+ * Applying emits 'displayChange' with the chosen settings.
+ * @extends Window
+ */
+export default class DisplayProperties extends Window {
+  /**
+   * @param {string} id - The window identifier
+   * @param {WindowConfig & {display?: DisplaySettings, wallpapers?: ManifestWallpaper[]}} config - The window configuration,
+   * with the current settings and the wallpapers to offer
+   */
+  constructor (id, config) {
+    super(id, {
+      ...config,
+      title: config.title || 'Display Properties',
+      width: config.width || 360,
+      height: config.height || 440,
+      resizable: config.resizable ?? false
+    })
+
+    /** @type {DisplaySettings} - The settings shown, applied or not */
+    this.display = { ...DEFAULT_DISPLAY, ...config.display }
+    /** @type {ManifestWallpaper[]} */
+    this.wallpapers = config.wallpapers || []
+
+    this.createControls()
+    this.updatePreview()
+  }
+
+  /**
+   * Build the preview and the setting controls.
+   * @private
+   */
+  createControls () {
+    this.contentArea.innerHTML = ''
+    this.contentArea.style.display = 'flex'
+    this.contentArea.style.flexDirection = 'column'
+    this.contentArea.style.gap = '8px'
+
+    // A small screen showing the chosen wallpaper and colours
+    const monitor = document.createElement('div')
+    monitor.style.cssText = `
+      align-self: center;
+      padding: 8px 8px 14px;
+      background: var(--surface);
+      box-shadow: var(--border-raised-outer), var(--border-raised-inner);
+    `
+    this.preview = document.createElement('div')
+    this.preview.className = 'display-preview'
+    this.preview.style.cssText = `
+      position: relative;
+      width: 180px;
+      height: 120px;
+      overflow: hidden;
+      background-color: var(--desktop-background);
+      box-shadow: var(--border-sunken-outer);
+      font-size: var(--font-size);
+    `
+    const sample = document.createElement('div')
+    sample.className = 'window'
+    sample.style.cssText = 'position: absolute; left: 20px; top: 18px; width: 130px; color: var(--text-color);'
+    sample.innerHTML = `
+      <div class="title-bar"><div class="title-bar-text">Active Window</div></div>
+      <div class="window-body" style="margin: 4px;">Window Text</div>
+    `
+    this.preview.appendChild(sample)
+    monitor.appendChild(this.preview)
+
+    this.themeSelect = this.createSelect('Theme', listThemes().map(theme => [theme.name, theme.label]), this.display.theme)
+    this.wallpaperSelect = this.createSelect('Wallpaper', [
+      ['', '(None)'],
+      ...this.wallpapers.map(wallpaper => [wallpaper.url, wallpaper.label])
+    ], this.display.wallpaper || '')
+    // The current wallpaper may not be one of the offered ones
+    if (this.display.wallpaper && !this.wallpapers.some(wallpaper => wallpaper.url === this.display.wallpaper)) {
+      this.wallpaperSelect.add(new Option(this.display.wallpaper.split('/').pop(), this.display.wallpaper), 1)
+      this.wallpaperSelect.value = this.display.wallpaper
+    }
+    this.modeSelect = this.createSelect('Display', WALLPAPER_MODES.map(mode => [mode, MODE_LABELS[mode]]), this.display.wallpaperMode)
+    this.fontSelect = this.createSelect('Font size', FONT_SIZES.map((size, i) => [String(size), FONT_LABELS[i]]), String(this.display.fontSize))
+
+    const fieldset = document.createElement('fieldset')
+    const legend = document.createElement('legend')
+    legend.textContent = 'Appearance'
+    fieldset.appendChild(legend)
+    ;[this.themeSelect, this.wallpaperSelect, this.modeSelect, this.fontSelect].forEach(select => {
+      fieldset.appendChild(select.parentElement)
+      select.addEventListener('change', () => this.onChange())
+    })
+
+    const buttons = document.createElement('div')
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px; margin-top: auto;'
+    this.okButton = this.createButton('OK', () => {
+      this.apply()
+      this.emit('close', this)
+    })
+    this.cancelButton = this.createButton('Cancel', () => this.emit('close', this))
+    this.applyButton = this.createButton('Apply', () => this.apply())
+    this.applyButton.disabled = true
+    buttons.append(this.okButton, this.cancelButton, this.applyButton)
+
+    this.contentArea.append(monitor, fieldset, buttons)
+  }
+
+  /**
+   * Create a labelled select in a field row. The row is its parent element.
+   * @private
+   * @param {string} label - The label text
+   * @param {[string, string][]} options - Values and labels of the options
+   * @param {string} value - The selected value
+   * @returns {HTMLSelectElement}
+   */
+  createSelect (label, options, value) {
+    const row = document.createElement('div')
+    row.className = 'field-row'
+    row.style.justifyContent = 'space-between'
+
+    const select = document.createElement('select')
+    select.id = `${this.id}-${label.toLowerCase().replace(/\s+/g, '-')}`
+    options.forEach(([optionValue, optionLabel]) => select.add(new Option(optionLabel, optionValue)))
+    select.value = value
+
+    const labelElement = document.createElement('label')
+    labelElement.htmlFor = select.id
+    labelElement.textContent = `${label}:`
+
+    row.append(labelElement, select)
+    return select
+  }
+
+  /**
+   * Create a dialog button.
+   * @private
+   * @param {string} label - The button text
+   * @param {Function} action - Called when it's clicked
+   * @returns {HTMLButtonElement}
+   */
+  createButton (label, action) {
+    const button = document.createElement('button')
+    button.textContent = label
+    button.onclick = e => {
+      e.stopPropagation()
+      action()
+    }
+    return button
+  }
+
+  /**
+   * Read the controls into the shown settings.
+   * @private
+   */
+  onChange () {
+    this.display = {
+      theme: this.themeSelect.value,
+      wallpaper: this.wallpaperSelect.value || null,
+      wallpaperMode: this.modeSelect.value,
+      fontSize: Number(this.fontSelect.value)
+    }
+    this.modeSelect.disabled = !this.display.wallpaper
+    this.applyButton.disabled = false
+    this.updatePreview()
+  }
+
+  /**
+   * Show the chosen settings on the preview screen.
+   */
+  updatePreview () {
+    const theme = getTheme(this.display.theme) || getTheme(DEFAULT_DISPLAY.theme)
+    Object.entries(themeProperties(theme, this.display.fontSize)).forEach(([name, value]) => {
+      this.preview.style.setProperty(name, value)
+    })
+
+    // The preview is a fraction of the screen's size, so tiled and centered images are shrunk to match
+    const style = wallpaperStyle(this.display.wallpaper, this.display.wallpaperMode)
+    if (this.display.wallpaperMode !== 'stretch') style.backgroundSize = '25%'
+    Object.assign(this.preview.style, style)
+    this.modeSelect.disabled = !this.display.wallpaper
+  }
+
+  /**
+   * Apply the shown settings to the desktop.
+   * @fires DisplayProperties#displayChange
+   */
+  apply () {
+    /**
+     * @event DisplayProperties#displayChange
+     * @type {DisplaySettings}
+     */
+    this.emit('displayChange', { ...this.display })
+    this.applyButton.disabled = true
+  }
+
+  /**
+   * Get the window state, including the shown settings
+   * @returns {object}
+   */
+  getState () {
+    return {
+      ...super.getState(),
+      display: { ...this.display },
+      wallpapers: this.wallpapers
+    }
+  }
+}
+
+export { DisplayProperties }
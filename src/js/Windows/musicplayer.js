@@ -32,6 +32,13 @@ export default class MusicPlayer extends Window {
         this.addTrack(track.title, track.url);
       }
     }
+
+    // Resume from the saved playback position
+    if (config.currentTime) {
+      this.audio.addEventListener('loadedmetadata', () => {
+        this.audio.currentTime = config.currentTime;
+      }, { once: true });
+    }
   }
 
   /**
@@ -78,7 +85,7 @@ export default class MusicPlayer extends Window {
     this.nowPlayingText.style.display = 'inline-block';
     this.nowPlayingText.style.padding = '5px';
     this.nowPlayingText.style.border = 'inset 2px';
-    this.nowPlayingText.style.backgroundColor = 'white';
+    this.nowPlayingText.style.backgroundColor = 'var(--field-background)';
     this.nowPlayingText.textContent = 'No track selected';
     this.nowPlayingText.style.fontSize = '0.75rem';
     
@@ -211,7 +218,7 @@ export default class MusicPlayer extends Window {
     playlistContainer.style.flexGrow = '1';
     playlistContainer.style.overflow = 'auto';
     playlistContainer.style.border = 'inset 2px';
-    playlistContainer.style.backgroundColor = 'white';
+    playlistContainer.style.backgroundColor = 'var(--field-background)';
     playlistContainer.style.padding = '5px';
     playlistContainer.style.minHeight = '80px';
     
@@ -242,8 +249,8 @@ export default class MusicPlayer extends Window {
     
     // Highlight current track
     if (this.tracks.length - 1 === this.currentTrackIndex) {
-      listItem.style.backgroundColor = '#0000AA';
-      listItem.style.color = 'white';
+      listItem.style.backgroundColor = 'var(--highlight)';
+      listItem.style.color = 'var(--highlight-text)';
     }
     
     // Click to play
@@ -256,8 +263,8 @@ export default class MusicPlayer extends Window {
     
     this.playlistElement.appendChild(listItem);
     
-    // If this is the first track, load it
-    if (this.tracks.length === 1) {
+    // If this is the current track, load it
+    if (this.tracks.length - 1 === this.currentTrackIndex) {
       this.loadTrack();
     }
   }
@@ -269,8 +276,8 @@ export default class MusicPlayer extends Window {
     const items = this.playlistElement.querySelectorAll('li');
     items.forEach((item, index) => {
       if (index === this.currentTrackIndex) {
-        item.style.backgroundColor = '#0000AA';
-        item.style.color = 'white';
+        item.style.backgroundColor = 'var(--highlight)';
+        item.style.color = 'var(--highlight-text)';
       } else {
         item.style.backgroundColor = '';
         item.style.color = '';
@@ -377,6 +384,19 @@ export default class MusicPlayer extends Window {
     }
   }
   
+  /**
+   * Get the window state, including the playlist and playback position
+   * @returns {object}
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      tracks: this.tracks.map(({ title, url }) => ({ title, url })),
+      currentTrackIndex: this.currentTrackIndex,
+      currentTime: this.audio.currentTime
+    };
+  }
+  
   /**
    * Clean up resources when the window is destroyed
    */
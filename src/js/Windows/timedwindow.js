@@ -1,72 +1,186 @@
 import {Window} from './window.js'
 /** @import {WindowConfig} from './window.js' */
 import Timer from '../timer.js'
+import {MESSAGE_ICONS} from './dialog.js'
+import {SUNKEN_BEVEL} from '../themes.js'
 
+/**
+ * How serious a popup's message is, which picks its icon.
+ * @typedef {'info'|'success'|'warning'|'error'} PopupSeverity
+ */
+
+/**
+ * @typedef {Object} PopupConfigFields
+ * @property {number} [duration] - Seconds the popup stays up. Defaults to 15
+ * @property {PopupSeverity} [severity] - Defaults to 'info'
+ * @property {string} [icon] - Image shown next to the message instead of the severity icon, also used as the title bar and taskbar icon
+ * @property {boolean} [dismissible] - Whether the popup can be closed before it expires. Defaults to true
+ * @property {function(Popup): void} [onExpire] - Called when the time runs out, before the popup fades away
+ */
+
+/** @type {number} - Default time a popup stays up, in seconds */
+const DEFAULT_DURATION = 15
+
+/** @type {number} - How long a popup takes to fade away once it expires, in ms */
+const FADE_DURATION = 500
+
+/** @type {Object.<PopupSeverity, string>} - The severity icons */
+const SEVERITY_ICONS = {
+  info: MESSAGE_ICONS.info,
+  success: `<svg viewBox="0 0 32 32" width="32" height="32"><circle cx="16" cy="16" r="14" fill="#008000" stroke="#004000" stroke-width="2"/><path d="M9 16 L14 21 L23 11" fill="none" stroke="#fff" stroke-width="4"/></svg>`,
+  warning: MESSAGE_ICONS.warning,
+  error: MESSAGE_ICONS.error
+}
+
+/**
+ * A message that closes itself after a while, counting down in its title and on a progress bar.
+ * The countdown pauses while the pointer is over the popup. Popups aren't saved with the session.
+ * @extends Window
+ */
 export default class Popup extends Window {
 
   /**
    * Create a new Window instance with the provided configuration.
    * @param {string} id - The window identifier
-   * @param {WindowConfig} config - The window configuration
+   * @param {WindowConfig & PopupConfigFields} config - The window configuration
    */
   constructor (id, config) {
-    super(id, config)
+    super(id, {
+      ...config,
+      resizable: config.resizable ?? false,
+      persistent: false
+    })
+
+    /** @type {number} - Seconds the popup stays up */
+    this.duration = config.duration > 0 ? config.duration : DEFAULT_DURATION
+    /** @type {PopupSeverity} */
+    this.severity = SEVERITY_ICONS[config.severity] ? config.severity : 'info'
+    /** @type {boolean} */
+    this.dismissible = config.dismissible !== false
+    /** @type {function(Popup): void|null} */
+    this.onExpire = config.onExpire || null
+
+    this.element.classList.add('popup', `popup-${this.severity}`)
+    this.minimizeButton.remove()
+    this.maximizeButton.remove()
+    this.titleBar.ondblclick = null
+    if (!this.dismissible) this.closeButton.remove()
 
     // Create timer with fade effect
     this.timer = new Timer({
-      onComplete: () => {
-        this.element.style.transition = 'opacity 0.5s ease-out'
-        this.element.style.opacity = '0'
-        setTimeout(() => this.emit('close', this), 500)
-      },
+      onComplete: () => this.expire(),
       format: 'seconds'
     })
 
-    this.timer.on('tick', seconds => this.updateTitleBarDisplay(seconds))
+    this.timer.on('tick', seconds => this.updateCountdown(seconds))
+
+    this.createContent(config)
+
+    // Reading a popup shouldn't be cut short
+    this.element.addEventListener('pointerenter', () => this.timer.pause())
+    this.element.addEventListener('pointerleave', () => this.timer.resume())
+
+    this.timer.start(this.duration)
+    this.updateCountdown(this.duration)
+  }
+
+  /**
+   * Build the icon, message and progress bar.
+   * @private
+   * @param {PopupConfigFields} config - The popup fields
+   */
+  createContent (config) {
+    this.contentArea.innerHTML = ''
+    this.contentArea.style.display = 'flex'
+    this.contentArea.style.flexDirection = 'column'
+    this.contentArea.style.gap = '8px'
+    this.contentArea.style.background = 'var(--field-background)'
 
-    // Create an enhanced message display
     const messageContainer = document.createElement('div')
     messageContainer.style.cssText = `
       display: flex;
-      flex-direction: column;
-      justify-content: center;
       align-items: center;
-      padding: 10px;
-      text-align: center;
-      background: linear-gradient(to bottom, #ffffff, #f7f7f7);
+      gap: 10px;
+      flex-grow: 1;
     `
 
-    // Add icon/emoji based on content type (success, warning, etc)
-    /**@type {HTMLImageElement} */
-    const icon = document.createElement('img')
-    icon.style.cssText = `
-      font-size: 3em;
-      margin-bottom: 10px;
-      src: ${this.config.icon || 'https://via.placeholder.com/50'};
-    `
+    // A custom icon image, or the severity icon
+    let icon
+    if (config.icon) {
+      icon = document.createElement('img')
+      icon.src = config.icon
+      icon.alt = ''
+      icon.width = 32
+      icon.height = 32
+    } else {
+      icon = document.createElement('div')
+      icon.innerHTML = SEVERITY_ICONS[this.severity]
+    }
+    icon.className = 'popup-icon'
+    icon.style.flexShrink = '0'
 
     const message = document.createElement('div')
+    message.className = 'popup-message'
     message.style.cssText = `
-      font-size: 1.25em;
       font-weight: bold;
-      color: #374151;
-      margin-bottom: 10px;
+      color: var(--text-color);
       line-height: 1.5;
     `
-    
-    message.innerHTML = this.content
+    message.innerHTML = this.content ?? ''
+
     messageContainer.appendChild(icon)
     messageContainer.appendChild(message)
 
+    const progress = document.createElement('div')
+    progress.className = 'popup-progress'
+    progress.style.cssText = `
+      flex-shrink: 0;
+      height: 8px;
+      padding: 2px;
+      box-shadow: ${SUNKEN_BEVEL};
+      background: var(--surface);
+    `
+    this.progressBar = document.createElement('div')
+    this.progressBar.className = 'popup-progress-bar'
+    this.progressBar.style.cssText = `
+      height: 100%;
+      width: 100%;
+      background-color: var(--progress-color);
+      transition: width 0.1s linear;
+    `
+    progress.appendChild(this.progressBar)
+
     this.contentArea.appendChild(messageContainer)
-    this.element.appendChild(this.contentArea)
+    this.contentArea.appendChild(progress)
+  }
 
-    const duration = 15
-    this.timer.start(duration)
+  /**
+   * Show the time left in the title bar and on the progress bar.
+   * @param {number} seconds - Seconds left
+   */
+  updateCountdown (seconds) {
+    this.titleText.textContent = this.title ? `${this.title} - closing in ${seconds}s` : `Closing in ${seconds}s`
+    this.progressBar.style.width = `${this.timer.getProgress() * 100}%`
   }
 
-  updateTitleBarDisplay (seconds) {
-    this.titletextdiv = this.titleBar.getElementsByClassName('window-title-bar-text')[0]
-    this.titletextdiv.textContent = `Closing in ${seconds}s`
+  /**
+   * Call onExpire, then fade the popup away and close it.
+   * @private
+   */
+  expire () {
+    this.onExpire?.(this)
+    this.element.style.transition = `opacity ${FADE_DURATION}ms ease-out`
+    this.element.style.opacity = '0'
+    setTimeout(() => this.emit('close', this), FADE_DURATION)
+  }
+
+  /**
+   * Stops the countdown and removes the popup from the DOM
+   */
+  destroy () {
+    this.timer.stop()
+    super.destroy()
   }
 }
+
+export { Popup }
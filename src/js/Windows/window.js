@@ -1,4 +1,9 @@
 /** @import {IconConfig} from '../Icon.js' */
+import {onDoubleTap} from '../gestures.js'
+import {adoptStylesheets, baseStylesheet, stylesheetFromText, stylesheetFromURL} from '../stylesheets.js'
+import {defaultCache} from '../FetchCache.js'
+import EventEmitter from '../EventEmitter.js'
+/** @import {FetchCache} from '../FetchCache.js' */
 
 /**
  * @typedef {Object} WindowConfig
@@ -8,45 +13,107 @@
  * @property {number} y - Default window y position
  * @property {number} zIndex - Default window z-index
  * @property {boolean} isMinimized - Whether the window is minimized
+ * @property {boolean} [isMaximized] - Whether the window is maximized
+ * @property {SnapZone} [snapped] - The screen region the window is snapped to
+ * @property {{x: number, y: number, width: number, height: number}} [restoreBounds] - Geometry to restore a maximized or snapped window to
  * @property {string} icon - Icon path
  * @property {string} title - Window title
  * @property {string} content - Window content
  * @property {string} initialURL - Initial URL to fetch window contents from
+ * @property {string} [route] - Name the window is linked to from the page URL, e.g. 'projects' for /#/projects
+ * @property {string} [type] - Registered name of the window's type, e.g. 'MusicPlayer'. Set by the environment
+ * @property {string} [owner] - Id of the window this one belongs to, which it's centred over
+ * @property {boolean} [modal] - Whether the window blocks its owner until it's closed
+ * @property {boolean} [persistent] - Whether the window is saved with the session. Defaults to true
+ * @property {ContentMode} [contentMode] - How content fetched from initialURL is shown. Defaults to 'shadow'
+ * @property {boolean} [toolbar] - Whether to show the Back, Forward, Refresh and address bar toolbar
+ * @property {NavigationHistory} [history] - The pages visited in the window, restored from a saved state
+ * @property {FetchCache} [fetchCache] - Cache pages and their resources are fetched through. Defaults to a cache shared by every window
+ * @property {string} [sandbox] - Sandbox flags of the frame in 'iframe' mode. Defaults to 'allow-scripts allow-forms allow-pointer-lock'
+ * @property {number} [minWidth] - Smallest width the window can be resized to, in px. Defaults to 200
+ * @property {number} [minHeight] - Smallest height the window can be resized to, in px. Defaults to 100
+ * @property {number} [maxWidth] - Largest width the window can be resized to, in px
+ * @property {number} [maxHeight] - Largest height the window can be resized to, in px
+ * @property {boolean} [resizable] - Whether the window can be resized and maximized. Defaults to true
+ * @property {number} [aspectRatio] - Width to height ratio kept while resizing
  * @property {Object} [styles] - Styles for the window
  * @property {Object.<string, Function[]>} [events] - Event listeners & callbacks
  * @property {Object} [savedState] - Saved window state
  */
 
+/**
+ * @typedef {'left'|'right'|'top-left'|'top-right'|'bottom-left'|'bottom-right'} SnapZone
+ */
 
 /**
- * Base event emitter class for handling window events
+ * How a window shows fetched pages:
+ * - shadow - the page body and styles are copied into a shadow root with 98.css, so its styles stay inside the window
+ * - inline - the page body is copied straight into the window, and its stylesheets apply to the whole desktop
+ * - iframe - the page is loaded in a sandboxed frame, talking to the window over postMessage
+ * @typedef {'inline'|'iframe'|'shadow'} ContentMode
  */
-class EventEmitter {
-  /**
-     * @private
-     * @type {object.<string, Function[]>}
-     */
-  #listeners = {}
 
-  /**
-   * Register an event listener
-   * @param {string} event - The event name to listen for
-   * @param {Function} callback - The callback function to execute
-   */
-  on (event, callback) {
-    if (!this.#listeners[event]) this.#listeners[event] = []
-    this.#listeners[event].push(callback)
-  }
+/**
+ * Messages a page in an 'iframe' mode window can post to its parent:
+ * - {type: 'window:setTitle', title: string} - change the window and taskbar title
+ * - {type: 'window:popup', title?: string, message: string} - open a popup message, shown as text
+ * - {type: 'window:focus'} - bring the window to the front
+ * The window posts {type: 'window:resize', width: number, height: number} to the page when it's resized.
+ * @typedef {{type: string, title?: string, message?: string}} FrameMessage
+ */
+
+/**
+ * The pages visited in a window, oldest first
+ * @typedef {Object} NavigationHistory
+ * @property {string[]} entries - The visited URLs
+ * @property {number} index - Index of the current page in entries
+ */
+
+/** @type {ContentMode[]} - The supported content modes, the default first */
+const CONTENT_MODES = ['shadow', 'inline', 'iframe']
+
+/** @type {string} - Sandbox flags of content frames. Without allow-same-origin, pages can't reach the desktop's DOM */
+const DEFAULT_SANDBOX = 'allow-scripts allow-forms allow-pointer-lock'
+
+/** @type {number} - How close to a screen edge the cursor has to be to snap, in px */
+const SNAP_EDGE = 16
+
+/** @type {number} - How close to the top or bottom the cursor has to be along an edge to snap to a corner, in px */
+const SNAP_CORNER = 80
+
+/** @type {number} - Size of the corner resize handles for mouse pointers, in px */
+const HANDLE_SIZE = 15
+
+/** @type {number} - Size of the corner resize handles for touch pointers, in px */
+const HANDLE_SIZE_COARSE = 30
+
+/** @type {number} - Thickness of the edge resize handles for mouse pointers, in px */
+const EDGE_SIZE = 6
+
+/** @type {number} - Thickness of the edge resize handles for touch pointers, in px */
+const EDGE_SIZE_COARSE = 16
+
+/** @type {number} - How far the arrow keys move or resize a window in keyboard move and size mode, in px */
+const KEYBOARD_STEP = 10
+
+/** @type {number} - Default minimum window width, in px */
+const DEFAULT_MIN_WIDTH = 200
+
+/** @type {number} - Default minimum window height, in px */
+const DEFAULT_MIN_HEIGHT = 100
+
+/** @type {number} - Time between the blinks of a flashing title bar, in ms */
+const FLASH_INTERVAL = 80
+
+/**
+ * @typedef {Object} WindowConstraints
+ * @property {number} minWidth
+ * @property {number} minHeight
+ * @property {number} maxWidth
+ * @property {number} maxHeight
+ * @property {number|null} aspectRatio
+ */
 
-  /**
-   * Emit an event to all registered listeners
-   * @param {string} event - The event name to emit
-   * @param {*} [data] - Optional data to pass to the listeners
-   */
-  emit (event, data) {
-    if (this.#listeners[event]) this.#listeners[event].forEach(callback => callback(data))
-  }
-}
 
 /**
  * Represents a draggable window component with a title bar and content area
@@ -57,6 +124,10 @@ class EventEmitter {
  * @fires Window#drag
  * @fires Window#dragEnd
  * @fires Window#minimize
+ * @fires Window#maximize
+ * @fires Window#snap
+ * @fires Window#snapPreview
+ * @fires Window#navigate
  */
 export default class Window extends EventEmitter {
 
@@ -75,13 +146,55 @@ export default class Window extends EventEmitter {
     super()
 		this.#config = config
 		this.id = Id
-		this.width = Math.min(this.#config.width, window.innerWidth - 100)
-		this.height = Math.min(this.#config.height, window.innerHeight - 100)
+		/** @type {ContentMode} */
+		this.contentMode = CONTENT_MODES.includes(config.contentMode) ? config.contentMode : CONTENT_MODES[0]
+		/** @type {HTMLIFrameElement|null} - The content frame in 'iframe' mode */
+		this.frame = null
+		/** @type {ShadowRoot|null} - The shadow root holding the page in 'shadow' mode */
+		this.contentRoot = null
+		this.onFrameMessage = this.onFrameMessage.bind(this)
+		this.handleResize = this.handleResize.bind(this)
+		/** @type {FetchCache} */
+		this.fetchCache = config.fetchCache || defaultCache
+		/** @type {AbortController|null} - Cancels the page load in progress, when the window navigates again or closes */
+		this.loadController = null
+		/** @type {NavigationHistory} */
+		this.history = Window.resolveHistory(config)
+		this.resizable = config.resizable !== false
+		/** @type {WindowConstraints} */
+		this.constraints = Window.resolveConstraints(config)
+		const size = this.constrainSize(
+			Math.min(this.#config.width, window.innerWidth - 100),
+			Math.min(this.#config.height, window.innerHeight - 100)
+		)
+		this.width = size.width
+		this.height = size.height
     this.title = this.#config.title
     this.content = this.#config.content
     this.zIndex = this.#config.zIndex || 1
 		this.isMinimized = config.isMinimized || false
+		this.isMaximized = false
+		this.movable = true
+		this.snapped = null
+		this.pendingSnap = null
+		/** @type {Function|null} - Ends keyboard move or size mode, while it's on */
+		this.keyboardLayoutCleanup = null
+		this.restoreBounds = config.isMaximized || config.snapped ? config.restoreBounds || null : null
 		this.icon = config.icon || null
+		/** @type {string|null} - Name the window is linked to from the page URL */
+		this.route = config.route || null
+		/** @type {string|null} - Registered name of the window's type, which it's saved and restored as */
+		this.type = config.type || null
+		/** @type {string|null} - Id of the window this one belongs to */
+		this.owner = config.owner || null
+		/** @type {boolean} - Whether the window blocks its owner until it's closed */
+		this.modal = config.modal || false
+		/** @type {boolean} - Whether the window is saved with the session */
+		this.persistent = config.persistent !== false
+		/** @type {HTMLElement|null} - Covers the window while a modal window blocks it */
+		this.blocker = null
+		/** @type {number|null} - Blinks the title bar while the window flashes */
+		this.flashTimer = null
     this.isDragging = false
 		this.isResizing = false
     this.initialX = 0
@@ -95,9 +208,11 @@ export default class Window extends EventEmitter {
 		this.y = config.y || 75
 		this.#createElement()
 
+		if (config.isMaximized) this.maximize()
+		else if (config.snapped) this.snap(config.snapped)
 		if (this.isMinimized) this.minimize()
 
-		window.addEventListener('resize', this.handleResize.bind(this))
+		window.addEventListener('resize', this.handleResize)
 		this.createResizeHandles()
   }
 
@@ -153,6 +268,18 @@ export default class Window extends EventEmitter {
 
     buttonContainer.appendChild(this.minimizeButton)
 
+    this.maximizeButton = document.createElement('button')
+    this.maximizeButton.className = 'window-maximize-button'
+    this.maximizeButton.ariaLabel = 'Maximize'
+    this.maximizeButton.disabled = !this.resizable
+
+    this.maximizeButton.onclick = e => {
+      e.stopPropagation()
+      this.toggleMaximize()
+    }
+
+    buttonContainer.appendChild(this.maximizeButton)
+
 		this.closeButton = document.createElement('button')
     this.closeButton.className = 'window-close-button'
     this.closeButton.ariaLabel = 'Close'
@@ -173,17 +300,40 @@ export default class Window extends EventEmitter {
     this.contentArea.style.padding = '10px'
     this.contentArea.style.minWidth = 'fit-content'
 
-    this.titleBar.onmousedown = e => {
+    // Touch pointers shouldn't scroll or zoom the page while dragging
+    this.titleBar.style.touchAction = 'none'
+    this.titleBar.onpointerdown = e => {
+      if (e.button !== 0 || e.target.closest('.title-bar-controls')) return
       e.preventDefault()
       this.startDrag(e)
     }
 
+    // A double-tap is followed by a dblclick on mobile browsers, which would restore the window straight away
+    let lastPointerType = 'mouse'
+    this.titleBar.addEventListener('pointerdown', e => { lastPointerType = e.pointerType })
+    this.titleBar.ondblclick = e => {
+      if (lastPointerType !== 'mouse' || e.target.closest('.title-bar-controls')) return
+      this.toggleMaximize()
+    }
+    // Windows that can't be maximized clear ondblclick, which turns off the double-tap too
+    onDoubleTap(this.titleBar, e => {
+      if (!this.titleBar.ondblclick || e.target.closest('.title-bar-controls')) return
+      this.toggleMaximize()
+    })
+
     this.element.appendChild(this.titleBar)
     this.element.appendChild(this.contentArea)
 
     this.element.onclick = () => this.emit('focus', this)
 
-    if (this.#config?.initialURL) await this.fetchWindowContents(this.#config.initialURL)
+    if (this.#config.toolbar) this.createToolbar()
+
+    // Same-origin links and forms load inside the window instead of navigating the desktop away.
+    // Submit events don't cross shadow roots, so shadow content gets its own listener
+    this.contentArea.addEventListener('click', e => this.onContentClick(e))
+    this.contentArea.addEventListener('submit', e => this.onContentSubmit(e))
+
+    if (this.currentURL) await this.fetchWindowContents(this.currentURL)
 	}
 
 
@@ -206,13 +356,25 @@ export default class Window extends EventEmitter {
    * @private
    */
   createResizeHandles () {
+    if (!this.resizable) return
+
+    // Edges first, so the corners sit on top of them
     const resizeHandles = [
+      { cursor: 'ns-resize', position: 'top', dx: 0, dy: -1 },
+      { cursor: 'ns-resize', position: 'bottom', dx: 0, dy: 1 },
+      { cursor: 'ew-resize', position: 'left', dx: -1, dy: 0 },
+      { cursor: 'ew-resize', position: 'right', dx: 1, dy: 0 },
       { cursor: 'nwse-resize', position: 'top-left', dx: -1, dy: -1 },
       { cursor: 'nesw-resize', position: 'top-right', dx: 1, dy: -1 },
       { cursor: 'nesw-resize', position: 'bottom-left', dx: -1, dy: 1 },
       { cursor: 'nwse-resize', position: 'bottom-right', dx: 1, dy: 1 }
     ]
 
+    // Larger hit areas for touch
+    const coarse = Window.isCoarsePointer()
+    const corner = `${coarse ? HANDLE_SIZE_COARSE : HANDLE_SIZE}px`
+    const edge = `${coarse ? EDGE_SIZE_COARSE : EDGE_SIZE}px`
+
     resizeHandles.forEach(handle => {
       const resizeHandle = document.createElement('div')
       resizeHandle.className = `resize-handle resize-${handle.position}`
@@ -221,48 +383,111 @@ export default class Window extends EventEmitter {
         background: transparent;
         z-index: 10;
         cursor: ${handle.cursor};
+        touch-action: none;
       `
 
       // Position and size the resize handles
       switch (handle.position) {
-        case 'top-left':
-          resizeHandle.style.top = '-5px'
-          resizeHandle.style.left = '-5px'
-          resizeHandle.style.width = '15px'
-          resizeHandle.style.height = '15px'
+        case 'top':
+        case 'bottom':
+          resizeHandle.style[handle.position] = '-3px'
+          resizeHandle.style.left = corner
+          resizeHandle.style.right = corner
+          resizeHandle.style.height = edge
           break
-        case 'top-right':
-          resizeHandle.style.top = '-5px'
-          resizeHandle.style.right = '-5px'
-          resizeHandle.style.width = '15px'
-          resizeHandle.style.height = '15px'
-          break
-        case 'bottom-left':
-          resizeHandle.style.bottom = '-5px'
-          resizeHandle.style.left = '-5px'
-          resizeHandle.style.width = '15px'
-          resizeHandle.style.height = '15px'
-          break
-        case 'bottom-right':
-          resizeHandle.style.bottom = '-5px'
-          resizeHandle.style.right = '-5px'
-          resizeHandle.style.width = '15px'
-          resizeHandle.style.height = '15px'
+        case 'left':
+        case 'right':
+          resizeHandle.style[handle.position] = '-3px'
+          resizeHandle.style.top = corner
+          resizeHandle.style.bottom = corner
+          resizeHandle.style.width = edge
           break
+        default: {
+          const [vertical, horizontal] = handle.position.split('-')
+          resizeHandle.style[vertical] = '-5px'
+          resizeHandle.style[horizontal] = '-5px'
+          resizeHandle.style.width = corner
+          resizeHandle.style.height = corner
+        }
       }
 
-      // Add resize event listener
-      resizeHandle.addEventListener('mousedown', (e) => this.startResize(e, handle.dx, handle.dy))
+      // The handle captures the pointer, so it receives every move until the pointer is released
+      resizeHandle.addEventListener('pointerdown', (e) => this.startResize(e, handle.dx, handle.dy))
+      resizeHandle.addEventListener('pointermove', (e) => this.resize(e))
+      resizeHandle.addEventListener('pointerup', () => this.endResize())
+      resizeHandle.addEventListener('pointercancel', () => this.endResize())
 
       this.element.appendChild(resizeHandle)
     })
   }
 
+  /**
+   * Resolve the size constraints of a config. Minimum sizes given in px through
+   * the legacy styles.minWidth and styles.minHeight are used when no constraint is set.
+   * @param {WindowConfig} config - The window configuration
+   * @returns {WindowConstraints}
+   */
+  static resolveConstraints (config) {
+    const styles = config.styles || {}
+    const fromStyle = value => {
+      if (typeof value !== 'string' || !value.trim().endsWith('px')) return undefined
+      const px = parseFloat(value)
+      return isNaN(px) ? undefined : px
+    }
+
+    const minWidth = config.minWidth ?? fromStyle(styles.minWidth) ?? DEFAULT_MIN_WIDTH
+    const minHeight = config.minHeight ?? fromStyle(styles.minHeight) ?? DEFAULT_MIN_HEIGHT
+    return {
+      minWidth,
+      minHeight,
+      maxWidth: Math.max(minWidth, config.maxWidth ?? fromStyle(styles.maxWidth) ?? Infinity),
+      maxHeight: Math.max(minHeight, config.maxHeight ?? fromStyle(styles.maxHeight) ?? Infinity),
+      aspectRatio: config.aspectRatio > 0 ? config.aspectRatio : null
+    }
+  }
+
+  /**
+   * Fit a size within the window's constraints
+   * @param {number} width - The requested width in px
+   * @param {number} height - The requested height in px
+   * @param {'width'|'height'} [driver] - Which dimension the other follows when keeping the aspect ratio
+   * @returns {{width: number, height: number}}
+   */
+  constrainSize (width, height, driver = 'width') {
+    const { minWidth, minHeight, maxWidth, maxHeight, aspectRatio } = this.constraints
+    const clamp = (value, min, max) => Math.max(min, Math.min(value, max))
+
+    width = clamp(width, minWidth, maxWidth)
+    height = clamp(height, minHeight, maxHeight)
+
+    if (aspectRatio) {
+      if (driver === 'width') {
+        height = clamp(width / aspectRatio, minHeight, maxHeight)
+        width = height * aspectRatio
+      } else {
+        width = clamp(height * aspectRatio, minWidth, maxWidth)
+        height = width / aspectRatio
+      }
+    }
+
+    return { width: Math.round(width), height: Math.round(height) }
+  }
+
   /**
    * Handles window repositioning when browser window is resized
    * @private
    */
   handleResize () {
+    // Maximized and snapped windows follow the work area
+    if (this.isMaximized) {
+      this.setBounds(Window.getWorkArea())
+      return
+    }
+    if (this.snapped) {
+      this.setBounds(Window.getSnapBounds(this.snapped))
+      return
+    }
+
     // Ensure the window stays within the new viewport boundaries
     const maxX = Math.max(0, window.innerWidth - this.width)
     const maxY = Math.max(0, window.innerHeight - this.height)
@@ -277,11 +502,14 @@ export default class Window extends EventEmitter {
 
   /**
    * Initiates window dragging
-   * @param {MouseEvent} event - The mousedown event
+   * @param {PointerEvent} event - The pointerdown event
    * @fires Window#dragStart
    * @private
    */
   startDrag (event) {
+    if (!this.movable) return
+    // Keep receiving the pointer's events even when it leaves the title bar
+    if (event.pointerId !== undefined) this.titleBar.setPointerCapture?.(event.pointerId)
     this.isDragging = true
     this.initialX = this.x
     this.initialY = this.y
@@ -292,12 +520,23 @@ export default class Window extends EventEmitter {
 
   /**
    * Updates window position during drag
-   * @param {MouseEvent} event - The mousemove event
+   * @param {PointerEvent} event - The pointermove event
    * @fires Window#drag
    */
   drag (event) {
     if (!this.isDragging) return
 
+    // Dragging a maximized or snapped window restores it, keeping the cursor at the same spot along the title bar
+    if (this.isMaximized || this.snapped) {
+      const ratio = (this.initialMouseX - this.x) / this.width
+      const offsetY = this.initialMouseY - this.y
+      this.restoreDown()
+      this.initialX = event.clientX - ratio * this.width
+      this.initialY = event.clientY - offsetY
+      this.initialMouseX = event.clientX
+      this.initialMouseY = event.clientY
+    }
+
     // Calculate the distance moved
     const deltaX = event.clientX - this.initialMouseX
     const deltaY = event.clientY - this.initialMouseY
@@ -313,6 +552,19 @@ export default class Window extends EventEmitter {
     this.x = newX
     this.y = newY
     this.updatePosition()
+
+    // Preview where the window will land when dragged to an edge or corner
+    const zone = this.resizable ? Window.getSnapZone(event.clientX, event.clientY) : null
+    if (zone !== this.pendingSnap) {
+      this.pendingSnap = zone
+      /**
+       * @event Window#snapPreview
+       * @type {{x: number, y: number, width: number, height: number}|null}
+       * @property {object|null} bounds - Where the window would snap to, or null to hide the preview
+       */
+      this.emit('snapPreview', zone ? Window.getSnapBounds(zone) : null)
+    }
+
     /**
      * @event Window#drag
      * @type {Window}
@@ -328,6 +580,12 @@ export default class Window extends EventEmitter {
   dragEnd () {
     if (!this.isDragging) return
     this.isDragging = false
+
+    if (this.pendingSnap) {
+      this.snap(this.pendingSnap)
+      this.pendingSnap = null
+      this.emit('snapPreview', null)
+    }
     /**
      * @event Window#dragEnd
      * @type {Window}
@@ -354,6 +612,184 @@ export default class Window extends EventEmitter {
     this.emit('minimize', this)
   }
 
+  /**
+   * Toggles the window between maximized and its prior geometry
+   * @fires Window#maximize
+   */
+  toggleMaximize () {
+    // Windows locked in place, like in the mobile layout, stay as they are
+    if (!this.movable) return
+    if (this.isMaximized) this.restoreDown()
+    else this.maximize()
+  }
+
+  /**
+   * Maximizes the window to fill the work area below the taskbar
+   * @fires Window#maximize
+   */
+  maximize () {
+    if (this.isMaximized || !this.resizable) return
+    this.snapped = null
+    // A window restored as maximized already knows its prior geometry
+    if (!this.restoreBounds) this.restoreBounds = { x: this.x, y: this.y, width: this.width, height: this.height }
+    this.isMaximized = true
+    this.maximizeButton.ariaLabel = 'Restore'
+    this.element.classList.add('maximized')
+    this.setBounds(Window.getWorkArea())
+    /**
+     * @event Window#maximize
+     * @type {Window}
+     * @property {Window} window - The window instance that was maximized or restored
+     */
+    this.emit('maximize', this)
+  }
+
+  /**
+   * Restores a maximized or snapped window to its prior geometry
+   * @fires Window#maximize
+   * @fires Window#snap
+   */
+  restoreDown () {
+    if (!this.isMaximized && !this.snapped) return
+    const wasMaximized = this.isMaximized
+    this.clearLayoutState()
+    if (this.restoreBounds) this.setBounds(this.restoreBounds)
+    this.restoreBounds = null
+    this.emit(wasMaximized ? 'maximize' : 'snap', this)
+  }
+
+  /**
+   * Snaps the window to half or a quarter of the work area
+   * @param {SnapZone} zone - The region to snap to
+   * @fires Window#snap
+   */
+  snap (zone) {
+    if (!this.resizable) return
+    if (this.isMaximized) {
+      this.isMaximized = false
+      this.maximizeButton.ariaLabel = 'Maximize'
+      this.element.classList.remove('maximized')
+    } else if (!this.restoreBounds) {
+      this.restoreBounds = { x: this.x, y: this.y, width: this.width, height: this.height }
+    }
+    this.snapped = zone
+    this.setBounds(Window.getSnapBounds(zone))
+    /**
+     * @event Window#snap
+     * @type {Window}
+     * @property {Window} window - The window instance that was snapped or unsnapped
+     */
+    this.emit('snap', this)
+  }
+
+  /**
+   * Places the window at a new geometry, leaving any maximized or snapped state
+   * without restoring its prior geometry
+   * @param {{x: number, y: number, width: number, height: number}} bounds - The new geometry in px
+   */
+  place (bounds) {
+    this.clearLayoutState()
+    this.restoreBounds = null
+    // Fixed size windows only move, others are kept within their constraints
+    const size = this.resizable
+      ? this.constrainSize(bounds.width, bounds.height)
+      : { width: this.width, height: this.height }
+    this.setBounds({ ...bounds, ...size })
+  }
+
+  /**
+   * Keeps a snapped window's current geometry, but stops it following its snap zone
+   * @private
+   */
+  leaveSnap () {
+    if (!this.snapped) return
+    this.snapped = null
+    this.restoreBounds = null
+  }
+
+  /**
+   * Clears the maximized and snapped flags
+   * @private
+   */
+  clearLayoutState () {
+    this.isMaximized = false
+    this.snapped = null
+    this.maximizeButton.ariaLabel = 'Maximize'
+    this.element.classList.remove('maximized')
+  }
+
+  /**
+   * Sets the window's position and size
+   * @param {{x: number, y: number, width: number, height: number}} bounds - The new geometry in px
+   */
+  setBounds ({ x, y, width, height }) {
+    this.x = x
+    this.y = y
+    this.width = width
+    this.height = height
+    this.element.style.width = `${this.width}px`
+    this.element.style.height = `${this.height}px`
+    this.updatePosition()
+    this.emitResize()
+  }
+
+  /**
+   * The area windows can be placed in - the viewport below the taskbar
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  static getWorkArea () {
+    const taskbar = document.getElementById('taskbar')
+    const top = taskbar ? taskbar.offsetHeight : 0
+    return { x: 0, y: top, width: window.innerWidth, height: window.innerHeight - top }
+  }
+
+  /**
+   * Whether the primary pointer is a touch screen or similar imprecise pointer
+   * @returns {boolean}
+   */
+  static isCoarsePointer () {
+    return window.matchMedia?.('(pointer: coarse)').matches ?? false
+  }
+
+  /**
+   * The snap zone under the cursor, if any.
+   * The left and right edges snap to halves, and their top and bottom ends to quarters.
+   * @param {number} x - Cursor x position in px
+   * @param {number} y - Cursor y position in px
+   * @returns {SnapZone|null}
+   */
+  static getSnapZone (x, y) {
+    const area = Window.getWorkArea()
+    let side = null
+    if (x <= area.x + SNAP_EDGE) side = 'left'
+    else if (x >= area.x + area.width - SNAP_EDGE) side = 'right'
+    if (!side) return null
+
+    if (y <= area.y + SNAP_CORNER) return `top-${side}`
+    if (y >= area.y + area.height - SNAP_CORNER) return `bottom-${side}`
+    return side
+  }
+
+  /**
+   * The geometry of a snap zone within the work area.
+   * @param {SnapZone} zone - The snap zone
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  static getSnapBounds (zone) {
+    const area = Window.getWorkArea()
+    const halfWidth = Math.floor(area.width / 2)
+    const halfHeight = Math.floor(area.height / 2)
+    const right = zone.endsWith('right')
+    const quarter = zone.includes('-')
+
+    return {
+      x: right ? area.x + halfWidth : area.x,
+      y: zone.startsWith('bottom') ? area.y + halfHeight : area.y,
+      width: right ? area.width - halfWidth : halfWidth,
+      height: quarter ? (zone.startsWith('bottom') ? area.height - halfHeight : halfHeight) : area.height
+    }
+  }
+
   /**
    * Minimizes the window
    */
@@ -367,7 +803,7 @@ export default class Window extends EventEmitter {
    */
   restore () {
     this.isMinimized = false
-    this.element.style.display = 'block'
+    this.element.style.display = 'flex'
   }
 
   /**
@@ -379,6 +815,399 @@ export default class Window extends EventEmitter {
     this.element.style.top = `${this.y}px`
   }
 
+  /**
+   * Moves the window by an offset, keeping it inside the viewport
+   * @param {number} dx - Horizontal offset in px
+   * @param {number} dy - Vertical offset in px
+   * @fires Window#dragEnd
+   */
+  moveBy (dx, dy) {
+    if (this.isMaximized) return
+    this.leaveSnap()
+    this.x = Math.max(0, Math.min(this.x + dx, window.innerWidth - this.width))
+    this.y = Math.max(20, Math.min(this.y + dy, window.innerHeight - this.height))
+    this.updatePosition()
+    this.emit('dragEnd', this)
+  }
+
+  /**
+   * Resizes the window by an offset from its bottom right corner
+   * @param {number} dw - Width offset in px
+   * @param {number} dh - Height offset in px
+   * @fires Window#resize
+   */
+  resizeBy (dw, dh) {
+    if (this.isMaximized || !this.resizable) return
+    this.leaveSnap()
+    const size = this.constrainSize(
+      Math.min(this.width + dw, window.innerWidth - this.x),
+      Math.min(this.height + dh, window.innerHeight - this.y),
+      dw !== 0 ? 'width' : 'height'
+    )
+    this.width = size.width
+    this.height = size.height
+    this.element.style.width = `${this.width}px`
+    this.element.style.height = `${this.height}px`
+    this.emitResize()
+    this.emit('resizeEnd', this)
+  }
+
+  /**
+   * Moves or resizes the window with the arrow keys, like the Move and Size commands of the window menu.
+   * Enter, Escape or a click ends it.
+   * @param {'move'|'size'} mode - Whether the arrow keys move or resize the window
+   */
+  startKeyboardLayout (mode) {
+    if (!this.movable || this.isMaximized) return
+    if (mode === 'size' && !this.resizable) return
+    this.endKeyboardLayout()
+
+    const arrows = {
+      ArrowLeft: [-KEYBOARD_STEP, 0],
+      ArrowRight: [KEYBOARD_STEP, 0],
+      ArrowUp: [0, -KEYBOARD_STEP],
+      ArrowDown: [0, KEYBOARD_STEP]
+    }
+
+    const onKeyDown = e => {
+      if (arrows[e.key]) {
+        const [dx, dy] = arrows[e.key]
+        if (mode === 'move') this.moveBy(dx, dy)
+        else this.resizeBy(dx, dy)
+      } else if (e.key === 'Enter' || e.key === 'Escape') {
+        this.endKeyboardLayout()
+      } else {
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+    }
+    const onPointerDown = () => this.endKeyboardLayout()
+
+    document.addEventListener('keydown', onKeyDown, true)
+    document.addEventListener('pointerdown', onPointerDown, true)
+    this.element.style.cursor = mode === 'move' ? 'move' : 'nwse-resize'
+
+    this.keyboardLayoutCleanup = () => {
+      document.removeEventListener('keydown', onKeyDown, true)
+      document.removeEventListener('pointerdown', onPointerDown, true)
+      this.element.style.cursor = ''
+    }
+  }
+
+  /**
+   * Ends keyboard move or size mode
+   */
+  endKeyboardLayout () {
+    if (!this.keyboardLayoutCleanup) return
+    this.keyboardLayoutCleanup()
+    this.keyboardLayoutCleanup = null
+  }
+
+  /**
+   * Pick the navigation history of a config - a saved one if it's usable, else one starting at initialURL.
+   * @param {WindowConfig} config - The window configuration
+   * @returns {NavigationHistory}
+   */
+  static resolveHistory (config) {
+    const saved = config.history
+    if (saved && Array.isArray(saved.entries) && saved.entries.length > 0 &&
+        saved.entries.every(entry => typeof entry === 'string') &&
+        Number.isInteger(saved.index) && saved.index >= 0 && saved.index < saved.entries.length) {
+      return { entries: [...saved.entries], index: saved.index }
+    }
+    return config.initialURL ? { entries: [config.initialURL], index: 0 } : { entries: [], index: -1 }
+  }
+
+  /**
+   * The URL of the page the window is showing
+   * @returns {string|null}
+   */
+  get currentURL () {
+    return this.history.entries[this.history.index] ?? null
+  }
+
+  /**
+   * Whether there's a page to go back to
+   * @returns {boolean}
+   */
+  get canGoBack () {
+    return this.history.index > 0
+  }
+
+  /**
+   * Whether there's a page to go forward to
+   * @returns {boolean}
+   */
+  get canGoForward () {
+    return this.history.index < this.history.entries.length - 1
+  }
+
+  /**
+   * Resolve a URL against the page the window is showing, rather than the desktop's own URL.
+   * @param {string} url - The URL, possibly relative
+   * @returns {URL}
+   */
+  resolveURL (url) {
+    return new URL(url, new URL(this.currentURL || '/', window.location.href))
+  }
+
+  /**
+   * Load a page in the window, dropping any pages ahead of the current one in its history.
+   * @param {string} url - The URL to load, relative to the current page
+   * @param {RequestInit} [init] - Options for the request, e.g. a form's method and body
+   * @fires Window#navigate
+   */
+  async navigate (url, init) {
+    const resolved = this.resolveURL(url)
+    // Keep same-origin URLs relative to the site, like initialURL is
+    const entry = resolved.origin === window.location.origin
+      ? `${resolved.pathname}${resolved.search}${resolved.hash}`
+      : resolved.href
+
+    this.history.entries.splice(this.history.index + 1)
+    this.history.entries.push(entry)
+    this.history.index = this.history.entries.length - 1
+    await this.loadHistoryEntry(init)
+  }
+
+  /**
+   * Go back one page.
+   * @fires Window#navigate
+   */
+  async back () {
+    if (!this.canGoBack) return
+    this.history.index--
+    await this.loadHistoryEntry()
+  }
+
+  /**
+   * Go forward one page.
+   * @fires Window#navigate
+   */
+  async forward () {
+    if (!this.canGoForward) return
+    this.history.index++
+    await this.loadHistoryEntry()
+  }
+
+  /**
+   * Load the current page again, revalidating it even if the cached copy is still fresh.
+   */
+  async reload () {
+    if (this.currentURL) await this.fetchWindowContents(this.currentURL, { cache: 'no-cache' })
+  }
+
+  /**
+   * Load the current history entry and let listeners know the window moved to it.
+   * @param {RequestInit} [init] - Options for the request
+   * @private
+   */
+  async loadHistoryEntry (init) {
+    this.updateToolbar()
+    /**
+     * @event Window#navigate
+     * @type {Window}
+     * @property {Window} window - The window instance that moved to another page
+     */
+    this.emit('navigate', this)
+    await this.fetchWindowContents(this.currentURL, init)
+  }
+
+  /**
+   * Creates the Back, Forward, Refresh and address bar toolbar underneath the title bar
+   * @private
+   */
+  createToolbar () {
+    this.toolbar = document.createElement('div')
+    this.toolbar.className = 'window-toolbar'
+    this.toolbar.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 3px 4px;
+      flex-shrink: 0;
+      border-bottom: 1px solid var(--button-shadow);
+      box-shadow: 0 1px var(--button-highlight);
+    `
+
+    const button = (label, action) => {
+      const element = document.createElement('button')
+      element.textContent = label
+      element.style.minWidth = '0'
+      element.style.padding = '0 8px'
+      element.onclick = e => {
+        e.stopPropagation()
+        action()
+      }
+      this.toolbar.appendChild(element)
+      return element
+    }
+
+    this.backButton = button('\u25C0 Back', () => this.back())
+    this.forwardButton = button('Forward \u25B6', () => this.forward())
+    this.refreshButton = button('Refresh', () => this.reload())
+
+    const label = document.createElement('label')
+    label.textContent = 'Address'
+    label.style.marginLeft = '4px'
+    this.toolbar.appendChild(label)
+
+    this.addressBar = document.createElement('input')
+    this.addressBar.type = 'text'
+    this.addressBar.className = 'window-address-bar'
+    this.addressBar.style.flexGrow = '1'
+    this.addressBar.style.minWidth = '0'
+    this.addressBar.addEventListener('keydown', e => {
+      if (e.key !== 'Enter' || !this.addressBar.value.trim()) return
+      e.preventDefault()
+      this.navigate(this.addressBar.value.trim())
+    })
+    this.toolbar.appendChild(this.addressBar)
+
+    this.element.insertBefore(this.toolbar, this.contentArea)
+    this.updateToolbar()
+  }
+
+  /**
+   * Show the current URL in the address bar, and enable the buttons that can be used
+   * @private
+   */
+  updateToolbar () {
+    if (!this.toolbar) return
+    this.backButton.disabled = !this.canGoBack
+    this.forwardButton.disabled = !this.canGoForward
+    this.refreshButton.disabled = !this.currentURL
+    this.addressBar.value = this.currentURL || ''
+  }
+
+  /**
+   * Load clicked same-origin links in the window. Other sites open in a new tab,
+   * and links to an anchor scroll the window content.
+   * @param {MouseEvent} event - The click event
+   * @private
+   */
+  onContentClick (event) {
+    if (event.defaultPrevented || event.button !== 0) return
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return
+
+    // Clicks inside a shadow root are retargeted to its host, so look along the composed path
+    const anchor = event.composedPath().find(node => node.tagName === 'A' && node.hasAttribute('href'))
+    if (!anchor || anchor.hasAttribute('download')) return
+    if (anchor.target && anchor.target !== '_self') return
+
+    const href = anchor.getAttribute('href')
+    if (href.startsWith('javascript:')) return
+    event.preventDefault()
+
+    if (href.startsWith('#')) {
+      const id = decodeURIComponent(href.slice(1))
+      const target = (this.contentRoot || this.contentArea).querySelector(`[id="${id.replace(/"/g, '\\"')}"]`)
+      target?.scrollIntoView()
+      return
+    }
+
+    const url = this.resolveURL(href)
+    if (url.origin !== window.location.origin) {
+      window.open(url.href, '_blank', 'noopener')
+      return
+    }
+    this.navigate(url.href)
+  }
+
+  /**
+   * Submit same-origin forms inside the window, loading the response in it.
+   * @param {SubmitEvent} event - The submit event
+   * @private
+   */
+  onContentSubmit (event) {
+    if (event.defaultPrevented) return
+    const form = event.target
+    if (form.target && form.target !== '_self') return
+
+    const url = this.resolveURL(form.getAttribute('action') || this.currentURL || '')
+    if (url.origin !== window.location.origin) return
+    event.preventDefault()
+
+    const data = new FormData(form, event.submitter)
+    if ((form.getAttribute('method') || 'get').toLowerCase() === 'post') {
+      this.navigate(url.href, { method: 'POST', body: data })
+      return
+    }
+
+    url.search = new URLSearchParams(data).toString()
+    this.navigate(url.href)
+  }
+
+  /**
+   * Shows the title bar as active or inactive
+   * @param {boolean} active - Whether the window is the focused window
+   */
+  setActive (active) {
+    this.titleBar.classList.toggle('inactive', !active)
+  }
+
+  /**
+   * Blinks the title bar to draw attention to the window, leaving it active
+   * @param {number} [times] - How many times to blink
+   */
+  flash (times = 3) {
+    clearInterval(this.flashTimer)
+    let blinks = times * 2
+    this.flashTimer = setInterval(() => {
+      blinks--
+      this.setActive(blinks % 2 === 0)
+      if (blinks === 0) {
+        clearInterval(this.flashTimer)
+        this.flashTimer = null
+      }
+    }, FLASH_INTERVAL)
+  }
+
+  /**
+   * Blocks or unblocks the window while a modal window is open over it.
+   * A blocked window can't be clicked, dragged or resized - clicking it focuses the window instead,
+   * which the environment passes on to the modal.
+   * @param {boolean} blocked - Whether the window is blocked
+   */
+  setBlocked (blocked) {
+    if (!blocked) {
+      this.blocker?.remove()
+      this.blocker = null
+      return
+    }
+    if (this.blocker) return
+
+    this.blocker = document.createElement('div')
+    this.blocker.className = 'window-modal-blocker'
+    this.blocker.style.cssText = `
+      position: absolute;
+      inset: 0;
+      z-index: 20;
+      cursor: default;
+    `
+    // Without this, the pointerdown would reach the title bar and content below
+    this.blocker.onpointerdown = e => {
+      e.preventDefault()
+      e.stopPropagation()
+    }
+    this.element.appendChild(this.blocker)
+  }
+
+  /**
+   * Moves the window to the centre of an area, keeping it inside the work area
+   * @param {{x: number, y: number, width: number, height: number}} area - The area, e.g. the owner window's bounds
+   */
+  centerOver ({ x, y, width, height }) {
+    const work = Window.getWorkArea()
+    // Windows sized to their content are measured, falling back to their configured size
+    const ownWidth = this.element.offsetWidth || this.width
+    const ownHeight = this.element.offsetHeight || this.height
+    this.x = Math.round(Math.max(work.x, Math.min(x + (width - ownWidth) / 2, work.x + work.width - ownWidth)))
+    this.y = Math.round(Math.max(work.y, Math.min(y + (height - ownHeight) / 2, work.y + work.height - ownHeight)))
+    this.updatePosition()
+  }
+
   /**
    * Sets the window's z-index
    * @param {number} index - The z-index value
@@ -400,9 +1229,26 @@ export default class Window extends EventEmitter {
 			y: this.y,
 			zIndex: this.zIndex,
 			isMinimized: this.isMinimized,
+			isMaximized: this.isMaximized,
+			snapped: this.snapped,
+			restoreBounds: this.restoreBounds,
+			// Unbounded maximums are saved as null and read back as Infinity
+			minWidth: this.constraints.minWidth,
+			minHeight: this.constraints.minHeight,
+			maxWidth: isFinite(this.constraints.maxWidth) ? this.constraints.maxWidth : null,
+			maxHeight: isFinite(this.constraints.maxHeight) ? this.constraints.maxHeight : null,
+			aspectRatio: this.constraints.aspectRatio,
+			resizable: this.resizable,
 			icon: this.icon,
 			title: this.title,
 			content: this.content,
+			initialURL: this.#config.initialURL,
+			route: this.route,
+			type: this.type,
+			history: { entries: [...this.history.entries], index: this.history.index },
+			toolbar: this.#config.toolbar || false,
+			contentMode: this.contentMode,
+			sandbox: this.#config.sandbox,
 			styles: this.#config.styles,
 			events: this.#config.events,
 		}
@@ -412,12 +1258,17 @@ export default class Window extends EventEmitter {
    * Removes the window from the DOM
    */
   destroy () {
+    this.loadController?.abort()
+    clearInterval(this.flashTimer)
+    this.endKeyboardLayout()
+    window.removeEventListener('message', this.onFrameMessage)
+    window.removeEventListener('resize', this.handleResize)
     this.element.remove()
   }
 
   /**
    * Initiates window resizing
-   * @param {MouseEvent} event - The mousedown event
+   * @param {PointerEvent} event - The pointerdown event
    * @param {number} dx - Horizontal resize direction (-1, 0, or 1)
    * @param {number} dy - Vertical resize direction (-1, 0, or 1)
    * @private
@@ -428,6 +1279,10 @@ export default class Window extends EventEmitter {
     // Prevent text selection during resize
     event.preventDefault()
 
+    // Maximized windows can't be resized
+    if (this.isMaximized || !this.movable || !this.resizable) return
+    this.leaveSnap()
+
     // Store initial window state
     this.isResizing = true
     this.initialWidth = this.width
@@ -439,14 +1294,13 @@ export default class Window extends EventEmitter {
     this.resizeDirX = dx
     this.resizeDirY = dy
 
-    // Add global event listeners for resize
-    document.addEventListener('mousemove', this.resize.bind(this))
-    document.addEventListener('mouseup', this.endResize.bind(this))
+    // Route the pointer's events to the handle until it's released
+    event.currentTarget.setPointerCapture?.(event.pointerId)
   }
 
   /**
    * Handles window resizing
-   * @param {MouseEvent} event - The mousemove event
+   * @param {PointerEvent} event - The pointermove event
    * @private
    */
   resize (event) {
@@ -456,31 +1310,18 @@ export default class Window extends EventEmitter {
     const deltaX = event.clientX - this.initialMouseX
     const deltaY = event.clientY - this.initialMouseY
 
-    // Calculate new dimensions and position
-    let newWidth = this.initialWidth
-    let newHeight = this.initialHeight
-    let newX = this.x
-    let newY = this.y
-
-    // Horizontal resize
-    if (this.resizeDirX !== 0) {
-      newWidth = Math.max(200, this.initialWidth + (deltaX * this.resizeDirX))
-      
-      // Adjust X position for left-side resize
-      if (this.resizeDirX < 0) {
-        newX = this.initialX + (this.initialWidth - newWidth)
-      }
-    }
+    // Calculate new dimensions, keeping them within the constraints
+    const size = this.constrainSize(
+      this.resizeDirX !== 0 ? this.initialWidth + (deltaX * this.resizeDirX) : this.initialWidth,
+      this.resizeDirY !== 0 ? this.initialHeight + (deltaY * this.resizeDirY) : this.initialHeight,
+      this.resizeDirX !== 0 ? 'width' : 'height'
+    )
+    const newWidth = size.width
+    const newHeight = size.height
 
-    // Vertical resize
-    if (this.resizeDirY !== 0) {
-      newHeight = Math.max(100, this.initialHeight + (deltaY * this.resizeDirY))
-      
-      // Adjust Y position for top-side resize
-      if (this.resizeDirY < 0) {
-        newY = this.initialY + (this.initialHeight - newHeight)
-      }
-    }
+    // Keep the opposite edge in place when resizing from the left or top
+    let newX = this.resizeDirX < 0 ? this.initialX + (this.initialWidth - newWidth) : this.initialX
+    let newY = this.resizeDirY < 0 ? this.initialY + (this.initialHeight - newHeight) : this.initialY
 
     // Constrain to viewport bounds
     newX = Math.max(0, Math.min(newX, window.innerWidth - newWidth))
@@ -496,6 +1337,26 @@ export default class Window extends EventEmitter {
     this.element.style.width = `${this.width}px`
     this.element.style.height = `${this.height}px`
     this.updatePosition()
+    this.emitResize()
+  }
+
+  /**
+   * Let listeners and the window content know the window changed size
+   * @fires Window#resize
+   * @private
+   */
+  emitResize () {
+    /**
+     * @event Window#resize
+     * @type {Window}
+     * @property {Window} window - The window instance being resized
+     */
+    this.emit('resize', this)
+    // Content loaded into the window can't see the Window instance, so it gets a DOM event
+    this.contentArea.dispatchEvent(new CustomEvent('windowresize', {
+      detail: { width: this.width, height: this.height }
+    }))
+    this.postToFrame({ type: 'window:resize', width: this.width, height: this.height })
   }
 
   /**
@@ -507,8 +1368,12 @@ export default class Window extends EventEmitter {
 
     this.isResizing = false
 
-    // Emit resize event if needed
-    this.emit('resize', this)
+    /**
+     * @event Window#resizeEnd
+     * @type {Window}
+     * @property {Window} window - The window instance that finished resizing
+     */
+    this.emit('resizeEnd', this)
   }
 
   /**
@@ -561,21 +1426,21 @@ export default class Window extends EventEmitter {
 
   /**
    * Parse scripts as either inline or external and append to the content area.
+   * External scripts are fetched in parallel, and appended in their original order.
    * @param {HTMLScriptElement[]} scripts 
    * @param {HTMLBodyElement} page
+   * @param {AbortSignal} [signal] - Cancels the fetches
+   * @param {Function} [onLoaded] - Called as each script finishes loading
    */
-  async handleScripts (scripts, page) {
-    const outscripts = []
-
-    for (const script of scripts) {
+  async handleScripts (scripts, page, signal, onLoaded) {
+    const outscripts = await Promise.all(scripts.map(async script => {
       // Handle inline scripts
-      if (script.src === "" || !script.src) {
-        outscripts.push(script.cloneNode(true))
-        continue
-      }
+      const src = script.getAttribute('src')
+      if (!src) return script.cloneNode(true)
+      // The parsed page has the desktop's URL, so relative sources are resolved against the window's page instead
+      const url = this.resolveURL(src).href
 
       try {
-        const response = await fetch(script.src)
         const scriptElement = document.createElement('script')
         
         // Preserve original attributes
@@ -585,14 +1450,19 @@ export default class Window extends EventEmitter {
           }
         }
         
-        scriptElement.textContent = await response.text()
-        outscripts.push(scriptElement)
+        scriptElement.textContent = await this.fetchCache.getText(url, { signal })
+        return scriptElement
       } catch (err) {
+        if (err.name === 'AbortError') throw err
         console.error('Failed to load external script:', err)
         // Fallback to original script with src
-        outscripts.push(script.cloneNode(true))
+        const fallback = script.cloneNode(true)
+        fallback.src = url
+        return fallback
+      } finally {
+        onLoaded?.()
       }
-    }
+    }))
 
     outscripts.forEach(script => page.appendChild(script))
   }
@@ -600,34 +1470,46 @@ export default class Window extends EventEmitter {
 
   /**
    * Parse linked stylesheets and append to the content area.
+   * Stylesheets are fetched in parallel, and appended in their original order.
    * @param {HTMLLinkElement[]} styles
-   * @param {HTMLBodyElement} page
+   * @param {HTMLElement|ShadowRoot} page
+   * @param {AbortSignal} [signal] - Cancels the fetches
+   * @param {Function} [onLoaded] - Called as each stylesheet finishes loading
    */
-  async handleStyles (styles, page) {
-    const outstyles = []
-
-    for (const style of styles) {
+  async handleStyles (styles, page, signal, onLoaded) {
+    const outstyles = await Promise.all(styles.map(async style => {
       try {
-        const response = await fetch(style.href)
         const styleElement = document.createElement('style')
-        styleElement.textContent = await response.text()
-        outstyles.push(styleElement)
+        styleElement.textContent = await this.fetchCache.getText(this.resolveURL(style.getAttribute('href')).href, { signal })
+        return styleElement
       } catch (err) {
+        if (err.name === 'AbortError') throw err
         console.error('Failed to load external stylesheet:', err)
+        return null
+      } finally {
+        onLoaded?.()
       }
-    }
+    }))
 
-    outstyles.forEach(style => page.appendChild(style))
+    outstyles.filter(Boolean).forEach(style => page.appendChild(style))
   }
 
 
   /**
    * Fetch the contents of the window from a URL.
+   * A load still in progress is cancelled. Failures show an error page with a Retry button.
    * @param {string} url - URL to fetch window contents from
+   * @param {RequestInit} [init] - Options for the request
    */
-  async fetchWindowContents(url) {
-    const oldTitle = this.title
-    const oldContent = this.content
+  async fetchWindowContents(url, init) {
+    if (this.contentMode === 'iframe') return this.loadFrame(url)
+
+    this.loadController?.abort()
+    const controller = new AbortController()
+    this.loadController = controller
+    const { signal } = controller
+
+    const oldTitle = this.title === 'Loading...' ? this.#config.title : this.title
 
     this.title = 'Loading...'
     this.titleText.textContent = this.title
@@ -657,138 +1539,256 @@ export default class Window extends EventEmitter {
     this.contentArea.innerHTML = ''
     this.contentArea.appendChild(loadingContainer)
 
-    // Function to update progress with animation frame
-    const updateProgress = (percent) => {
-      return new Promise(resolve => {
-        requestAnimationFrame(() => {
-          innerbar.style.width = `${percent}%`
-          setTimeout(resolve, 50)
-        })
-      })
+    // The page download fills the first 70% of the bar, its resources the rest.
+    // Responses without a size leave the bar where it is until they're done
+    const setProgress = fraction => {
+      innerbar.style.width = `${Math.round(fraction * 100)}%`
     }
 
     try {
-      await updateProgress(20)
-
-      const response = await fetch(url)
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
-      
-      await updateProgress(40)
-      
-      const data = await response.text()
+      const data = await this.fetchCache.getText(url, {
+        ...init,
+        signal,
+        onProgress: fraction => { if (fraction !== null) setProgress(fraction * 0.7) }
+      })
       const page = new DOMParser().parseFromString(data, 'text/html')
 
-      await updateProgress(60)
+      let loaded = 0
+      // Shadow content skips scripts, so only its stylesheets are waited on
+      const total = page.querySelectorAll(this.contentMode === 'shadow'
+        ? 'link[rel="stylesheet"]'
+        : 'script[src], link[rel="stylesheet"]').length
+      const onLoaded = () => setProgress(0.7 + 0.3 * (++loaded / total))
+
+      // Build the content off-screen, so the progress bar stays up until everything has loaded
+      const content = this.contentMode === 'shadow'
+        ? await this.handleShadowContent(page, signal, onLoaded)
+        : await this.handleRegularContent(page, signal, onLoaded)
+      if (signal.aborted) return
 
-      // Update window content
       this.title = page.querySelector('title')?.textContent || oldTitle
       this.titleText.textContent = this.title
       this.changeTaskbarTitle(this.title)
 
-      // Clear content area first
+      setProgress(1)
       this.contentArea.innerHTML = ''
-
-      // Special handling for Doom or other games
-      if (url.includes('/doom')) {
-        await this.handleGameContent(page)
-      } else {
-        await this.handleRegularContent(page)
-      }
-
-      await updateProgress(100)
-      
+      this.contentArea.appendChild(content)
     } catch (err) {
+      // Cancelled loads were replaced by another one, or the window closed
+      if (err.name === 'AbortError' || signal.aborted) return
       console.error('Failed to fetch window contents:', err)
       this.title = oldTitle
-      this.contentArea.innerHTML = oldContent
+      this.titleText.textContent = this.title
+      this.showErrorPage(url, err)
+    } finally {
+      if (this.loadController === controller) this.loadController = null
     }
   }
 
   /**
-   * Handle game content (like Doom) with special DOM handling
-   * @param {Document} page - The parsed HTML document
+   * Show a Win98 style error page in the content area, with a Retry button.
+   * @param {string} url - The URL that failed to load
+   * @param {Error} error - Why it failed
    */
-  async handleGameContent(page) {
-    const body = page.querySelector('body')
-    if (!body) return
+  showErrorPage (url, error) {
+    const page = document.createElement('div')
+    page.className = 'window-error-page'
+    page.setAttribute('role', 'alert')
+    page.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      padding: 10px;
+      background: var(--field-background);
+      color: var(--text-color);
+      min-height: 100%;
+      box-sizing: border-box;
+    `
+
+    const heading = document.createElement('div')
+    heading.style.cssText = 'display: flex; align-items: center; gap: 10px;'
+    const icon = document.createElement('div')
+    icon.textContent = '!'
+    icon.setAttribute('aria-hidden', 'true')
+    icon.style.cssText = `
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 32px;
+      height: 32px;
+      flex-shrink: 0;
+      border-radius: 50%;
+      background: var(--error-color);
+      color: var(--highlight-text);
+      font-weight: bold;
+      font-size: 1.25rem;
+    `
+    const title = document.createElement('strong')
+    title.textContent = 'The page cannot be displayed'
+    title.style.fontSize = '1rem'
+    heading.appendChild(icon)
+    heading.appendChild(title)
+
+    const details = document.createElement('p')
+    details.style.margin = '0'
+    details.textContent = `The page at ${url} could not be loaded.`
+
+    const reason = document.createElement('p')
+    reason.style.cssText = 'margin: 0; color: var(--disabled-text);'
+    reason.textContent = error?.message || String(error)
+
+    const hr = document.createElement('hr')
+    hr.style.width = '100%'
+
+    const retry = document.createElement('button')
+    retry.textContent = 'Retry'
+    retry.style.alignSelf = 'flex-start'
+    retry.onclick = e => {
+      e.stopPropagation()
+      this.reload()
+    }
 
-    // Create a container that preserves the game's expected DOM structure
-    const gameContainer = document.createElement('div')
-    gameContainer.style.width = '100%'
-    gameContainer.style.height = '100%'
-    gameContainer.style.position = 'relative'
+    page.appendChild(heading)
+    page.appendChild(details)
+    page.appendChild(reason)
+    page.appendChild(hr)
+    page.appendChild(retry)
 
-    // Clone all body children to preserve their structure
-    Array.from(body.children).forEach(child => {
-      gameContainer.appendChild(child.cloneNode(true))
-    })
+    this.contentArea.innerHTML = ''
+    this.contentArea.appendChild(page)
+  }
 
-    // Handle styles first
-    const styles = Array.from(page.querySelectorAll('style, link[rel="stylesheet"]'))
-    for (const style of styles) {
-      if (style.tagName === 'STYLE') {
-        gameContainer.appendChild(style.cloneNode(true))
-      } else if (style.href) {
-        try {
-          const response = await fetch(style.href)
-          const styleElement = document.createElement('style')
-          styleElement.textContent = await response.text()
-          gameContainer.appendChild(styleElement)
-        } catch (err) {
-          console.error('Failed to load stylesheet:', err)
-        }
-      }
-    }
+  /**
+   * Load a page in a sandboxed frame filling the content area.
+   * The page runs in its own document and talks to the window over postMessage.
+   * @param {string} url - URL of the page
+   */
+  loadFrame (url) {
+    this.contentArea.innerHTML = ''
+    this.contentArea.style.padding = '0'
+    this.contentArea.style.overflow = 'hidden'
+
+    this.frame = document.createElement('iframe')
+    this.frame.className = 'window-frame'
+    this.frame.title = this.title
+    this.frame.setAttribute('sandbox', this.#config.sandbox ?? DEFAULT_SANDBOX)
+    this.frame.style.cssText = `
+      display: block;
+      width: 100%;
+      height: 100%;
+      border: none;
+      background: #fff;
+    `
+    this.frame.addEventListener('load', () => {
+      this.postToFrame({ type: 'window:resize', width: this.width, height: this.height })
+    })
+    this.frame.src = url
 
-    this.contentArea.appendChild(gameContainer)
+    window.removeEventListener('message', this.onFrameMessage)
+    window.addEventListener('message', this.onFrameMessage)
+    this.contentArea.appendChild(this.frame)
+  }
 
-    // Handle scripts after DOM is ready
-    await this.handleGameScripts(page.querySelectorAll('script'), gameContainer)
+  /**
+   * Post a message to the page in the content frame, if there is one.
+   * @param {object} message - The message
+   * @private
+   */
+  postToFrame (message) {
+    // Sandboxed frames have an opaque origin, so the target origin can't be narrowed down
+    this.frame?.contentWindow?.postMessage(message, '*')
   }
 
   /**
-   * Handle scripts for games with proper execution context
-   * @param {NodeList} scripts - Script elements from the page
-   * @param {HTMLElement} container - Container element
+   * Handle a message posted by the page in the content frame.
+   * Messages from anywhere else are ignored.
+   * @param {MessageEvent<FrameMessage>} event - The message event
+   * @fires Window#focus
+   * @fires Window#popup
+   * @private
    */
-  async handleGameScripts(scripts, container) {
-    for (const script of scripts) {
-      try {
-        const scriptElement = document.createElement('script')
-        
-        // Copy all attributes
-        Array.from(script.attributes).forEach(attr => {
-          scriptElement.setAttribute(attr.name, attr.value)
+  onFrameMessage (event) {
+    if (!this.frame || event.source !== this.frame.contentWindow) return
+    const message = event.data
+    if (!message || typeof message !== 'object') return
+
+    switch (message.type) {
+      case 'window:setTitle':
+        if (typeof message.title !== 'string') return
+        this.title = message.title
+        this.titleText.textContent = this.title
+        this.frame.title = this.title
+        this.changeTaskbarTitle(this.title)
+        break
+      case 'window:popup': {
+        if (typeof message.message !== 'string') return
+        // The page doesn't get to put markup into the desktop - the message is shown as text
+        const text = document.createElement('p')
+        text.textContent = message.message
+        this.emit('popup', {
+          title: typeof message.title === 'string' ? message.title : this.title,
+          content: text.outerHTML
         })
+        break
+      }
+      case 'window:focus':
+        this.emit('focus', this)
+        break
+    }
+  }
 
-        if (script.src) {
-          // For external scripts, load the content
-          const response = await fetch(script.src)
-          const scriptContent = await response.text()
-          scriptElement.textContent = scriptContent
-          scriptElement.removeAttribute('src') // Remove src to prevent double loading
-        } else {
-          // For inline scripts
-          scriptElement.textContent = script.textContent
-        }
+  /**
+   * Copy the page body into a shadow root, so the page's styles only apply inside the window.
+   * The root adopts 98.css and the page's stylesheets, which are shared between every window that uses them.
+   * Page scripts aren't run in this mode - pages that need them should use 'iframe' mode.
+   * @param {Document} page - The parsed HTML document
+   * @param {AbortSignal} [signal] - Cancels the load
+   * @param {Function} [onLoaded] - Called as each linked stylesheet finishes loading
+   * @returns {Promise<HTMLElement>} - The shadow host, ready to be added to the content area
+   */
+  async handleShadowContent (page, signal, onLoaded) {
+    const host = document.createElement('div')
+    host.className = 'window-content-root'
+    host.style.display = 'block'
+    host.style.minHeight = '100%'
+    const root = host.attachShadow({ mode: 'open' })
+
+    // Stylesheets are shared between windows, so one window closing mid-load doesn't cancel them
+    const load = url => this.fetchCache.getText(url)
+
+    // Document order, so later page rules win over earlier ones like they would in the page
+    const stylesheets = await Promise.all([
+      baseStylesheet(load),
+      ...Array.from(page.querySelectorAll('style, link[rel="stylesheet"]')).map(async style => {
+        if (style.tagName === 'STYLE') return stylesheetFromText(style.textContent)
+        const stylesheet = await stylesheetFromURL(this.resolveURL(style.getAttribute('href')).href, load)
+        onLoaded?.()
+        return stylesheet
+      })
+    ])
+    if (signal?.aborted) throw new DOMException('The load was aborted', 'AbortError')
+    adoptStylesheets(root, stylesheets.filter(Boolean))
 
-        // Append to the container (not to a separate body element)
-        container.appendChild(scriptElement)
-        
-        // Small delay to ensure script execution order
-        await new Promise(resolve => setTimeout(resolve, 10))
-        
-      } catch (err) {
-        console.error('Failed to load script:', err)
-      }
+    const body = page.querySelector('body')
+    if (body) {
+      Array.from(body.childNodes)
+        .filter(node => node.nodeName !== 'SCRIPT')
+        .forEach(node => root.appendChild(node.cloneNode(true)))
     }
+
+    root.addEventListener('submit', e => this.onContentSubmit(e))
+    this.contentRoot = root
+    return host
   }
 
   /**
    * Handle regular content (non-games)
    * @param {Document} page - The parsed HTML document
+   * @param {AbortSignal} [signal] - Cancels the load
+   * @param {Function} [onLoaded] - Called as each script or stylesheet finishes loading
+   * @returns {Promise<DocumentFragment>} - The content, ready to be added to the content area
    */
-  async handleRegularContent(page) {
+  async handleRegularContent(page, signal, onLoaded) {
     const inbody = page.querySelector('body')
     let body = document.createElement('div')
     
@@ -801,10 +1801,15 @@ export default class Window extends EventEmitter {
     const scripts = Array.from(page.querySelectorAll('script'))
     const styles = Array.from(page.querySelectorAll('link[rel="stylesheet"]'))
 
-    await this.handleScripts(scripts, body)
-    await this.handleStyles(styles, body)
+    await Promise.all([
+      this.handleScripts(scripts, body, signal, onLoaded),
+      this.handleStyles(styles, body, signal, onLoaded)
+    ])
 
-    this.contentArea.innerHTML = body.innerHTML
+    const content = document.createElement('template')
+    content.innerHTML = body.innerHTML
+    this.contentRoot = null
+    return content.content
   }
 
 
@@ -827,6 +1832,5 @@ export default class Window extends EventEmitter {
   }
 }
 
-// Export the Window class and WindowConfigtype
+// Export the Window class
 export {Window}
-export {WindowConfig}
\ No newline at end of file
@@ -1,20 +1,89 @@
 import {Window} from './Windows/window.js'
-import Popup from './Windows/timedwindow.js'
 import {Icon} from './Icon.js'
-import MusicPlayer from './Windows/musicplayer.js'
+import WindowRegistry from './WindowRegistry.js'
+import StateStore, {WebStorageBackend, MemoryBackend} from './persistence.js'
+import StartMenu from './StartMenu.js'
+import Taskbar from './Taskbar.js'
+import NotificationCenter from './Notifications.js'
+import KeyboardManager from './Keyboard.js'
+import Desktop from './Desktop.js'
+import ContextMenu from './ContextMenu.js'
+import FetchCache from './FetchCache.js'
+import Router from './Router.js'
+import EventEmitter from './EventEmitter.js'
+import {ManifestError, fetchManifest, validateManifest} from './manifest.js'
+import {DEFAULT_DISPLAY, getTheme, themeCSS, wallpaperStyle} from './themes.js'
 
 /** @import {WindowConfig} from './Windows/window.js' */
+/** @import {WindowLoader, WindowTypeError} from './WindowRegistry.js' */
+/** @import {DialogConfigFields, DialogOptions} from './Windows/dialog.js' */
 /** @import {IconConfig} from './Icon.js' */
 /** @import {TaskbarConfig} from './Taskbar.js'*/
+/** @import {StorageBackend} from './persistence.js' */
+/** @import {StartMenuEntry} from './StartMenu.js' */
+/** @import {NotificationAction, NotificationOptions, NotificationRecord} from './Notifications.js' */
+/** @import {KeyBindings} from './Keyboard.js' */
+/** @import {IconLayout} from './Desktop.js' */
+/** @import {ContextMenuProvider} from './ContextMenu.js' */
+/** @import {DesktopManifest, ManifestIcon} from './manifest.js' */
+/** @import {DisplaySettings} from './themes.js' */
 
+/** @type {string} - Storage key the environment state is saved under */
+const STATE_KEY = 'windowEnvironmentState'
+
+/** @type {number} - Schema version of the saved environment state */
+const STATE_VERSION = 4
+
+/** @type {string} - Where the built-in desktop manifest is loaded from */
+const DEFAULT_MANIFEST_URL = new URL('./desktop.json', import.meta.url).href
+
+/** @type {string} - Media query for viewports narrow enough to open windows full-screen */
+const MOBILE_QUERY = '(max-width: 640px)'
+
+/** @type {number} - Gap between stacked popups, and between them and the edges of the desktop, in px */
+const POPUP_GAP = 8
+
+/** @type {string[]} - Window events passed on to the environment's bus as window:<event> */
+const BUS_WINDOW_EVENTS = ['minimize', 'maximize', 'snap', 'navigate']
+
+/**
+ * The backend the environment state is saved to when none is configured: localStorage,
+ * or memory when the browser blocks storage, since even reading localStorage then throws.
+ * @returns {StorageBackend}
+ */
+function defaultStorageBackend () {
+  try {
+    return new WebStorageBackend(globalThis.localStorage)
+  } catch (err) {
+    console.warn('localStorage is unavailable - the desktop state will not be saved:', err)
+    return new MemoryBackend()
+  }
+}
 
 
 /**
  * @typedef EnvironmentConfig
  * @property {string} bgc - The background color of the environment.
  * @property {TaskbarConfig} taskbar - The configuration for the taskbar.
- * @property {Map<typeof Window, WindowConfig>} windowTypes - The types of windows that can be created and their defaults.
+ * @property {Object.<string, WindowLoader>} windowTypes - Extra window types to register by name, before the manifest is checked and the saved state restored.
  * @property {Map<string, WindowConfig>} defaultConfigs - The default configurations for windows.
+ * @property {StorageBackend} storage - Where the environment state is saved. Defaults to localStorage.
+ * @property {KeyBindings} keyBindings - Overrides of the default keyboard shortcuts.
+ * @property {typeof fetch} fetch - The fetch function window contents are loaded with. Defaults to the global fetch.
+ * @property {boolean} router - Whether the page URL opens windows and follows them. Defaults to true.
+ * @property {DesktopManifest|string} manifest - The desktop manifest, or the URL to load it from. Defaults to loading the built-in desktop.json.
+ * @property {boolean} boot - Whether to open the manifest's boot windows when there's no saved session. Defaults to true.
+ */
+
+/**
+ * @typedef {WindowConfig & {id: string, type: string}} SavedWindowState
+ */
+
+/**
+ * @typedef {Object} SavedEnvironmentState
+ * @property {SavedWindowState[]} windows - The open windows
+ * @property {IconLayout} icons - The desktop icon positions
+ * @property {Partial<DisplaySettings>|null} display - The display settings the user picked
  */
 
 
@@ -26,7 +95,80 @@ import MusicPlayer from './Windows/musicplayer.js'
  * @public
  */
 export default class Environment {
-  constructor () {
+  /**
+   * @private
+   * @type {boolean} - Whether saved windows are currently being restored
+   */
+  #restoring = false
+
+  /**
+   * @private
+   * @type {string[]} - Ids of the taskbar launchers added by the manifest, replaced when it's reloaded
+   */
+  #manifestLaunchers = []
+
+  /**
+   * @private
+   * @type {string[]} - Ids of the desktop icons added by the manifest, replaced when it's reloaded
+   */
+  #manifestIcons = []
+
+  /**
+   * @private
+   * @type {WeakSet<Window>} - Windows maximized by the mobile layout, rather than by the user
+   */
+  #mobileMaximized = new WeakSet()
+
+  /**
+   * @private
+   * @type {Window[]} - The open popups, oldest first
+   */
+  #popups = []
+
+  /**
+   * @private
+   * @type {Window|null} - The window the last window:focus event was emitted for
+   */
+  #focused = null
+
+  /**
+   * @param {boolean} [autoRestore] - Whether to restore the previously saved windows on construction
+   * @param {Partial<EnvironmentConfig>} [config] - Optional environment configuration
+   */
+  constructor (autoRestore = false, config = {}) {
+    /**
+     * Bus of the environment's events, such as window:open, window:close, window:focus and display:change
+     * @type {EventEmitter}
+     */
+    this.events = new EventEmitter()
+
+    /**
+     * Versioned store the environment state is saved to
+     * @type {StateStore}
+     */
+    this.store = new StateStore({
+      key: STATE_KEY,
+      version: STATE_VERSION,
+      backend: config.storage || defaultStorageBackend()
+    })
+
+    // Unversioned state only held the window list
+    this.store.registerMigration(0, state => ({
+      windows: Array.isArray(state.windows) ? state.windows : []
+    }))
+
+    // Version 1 didn't save the desktop icon layout
+    this.store.registerMigration(1, state => ({ ...state, icons: {} }))
+
+    // Version 2 didn't save the display settings
+    this.store.registerMigration(2, state => ({ ...state, display: null }))
+
+    // Version 3 saved windows by their class name, which minifiers rename
+    this.store.registerMigration(3, state => ({
+      ...state,
+      windows: (state.windows || []).map(({ className, ...window }) => ({ ...window, type: window.type || className }))
+    }))
+
     /**
      * A Map of windows by id
      * @type {Map<string, Window>}
@@ -34,169 +176,53 @@ export default class Environment {
     this.windows = new Map()
 
     /**
-     * A Map of icons by title
-     * @type {Map<string, Icon>}
+     * Cache the pages and resources of every window are fetched through
+     * @type {FetchCache}
      */
-    this.icons = new Map()
+    this.fetchCache = new FetchCache({ fetch: config.fetch })
 
     /**@type {number}*/
     this.zIndexBase = 100
-    /**@type {string}*/
-    this.background_color = '#FAF9F6'
-    /**@type {string}*/
-    this.taskbar_background_color = '#c0c0c0'
-    /**@type {string}*/
-    this.taskbar_text_color = '#fff'
 
     /**
-     * @property {typeof Window, WindowConfig>} windowTypes - The types of windows that can be created and their defaults.
+     * Display settings the user picked in Display Properties, over the manifest's
+     * @type {Partial<DisplaySettings>}
      */
-    this.windowTypes = new Map([
-      [Window.name, {}],
-      [Popup.name, {}],
-      [MusicPlayer.name, {}]
-    ])
+    this.displayOverrides = {}
 
-    /** @type {Map<string, WindowConfig>} - default windows and their configs */
-    this.defaultConfigs = new Map([
-      [
-        "welcome",
-        {
-          height: 700,
-          width: 500,
-          x: 50,
-          y: 50,
-          icon: null,
-          title: 'Welcome!',
-          content: '<p>This is a test</p>',
-          initialURL: '/welcome',
-          styles: {
-            minHeight: '10px',
-            minWidth: '10px'
-          }
-        }
-      ],
-      [
-        "music",
-        {
-          width: 400,
-          height: 400,
-          x: 50,
-          y: 100,
-          icon: null,
-          title: 'Music Player',
-          content: '<div id="music-player"></div>',
-          tracks: [
-            {
-              title: 'Bill_Nye - Tadj Cazaubon & Violet Mirrors',
-              url: '/audio/Bill_Nye.wav'
-            },
-            {
-              title: 'Grey Skies - Molly',
-              url: '/audio/grey_skies.wav'
-            },
-            {
-              title: 'Jello - WayKool',
-              url: '/audio/jello.mp3'
-            },
-            {
-              title: 'Discotheque Diner - Molly',
-              url: '/audio/discotheque_diner.wav'
-            },
-            {
-              title: 'Weather - Tadj Cazaubon & Violet Mirrors',
-              url: '/audio/Weather.wav'
-            },
-            {
-              title: 'Jonathan Seagull - Molly',
-              url: '/audio/jonathan_seagull.wav'
-            },
-            {
-              title: 'Boomer - Violet Mirrors',
-              url: '/audio/boomer.wav'
-            },
-            {
-              title: 'In Awe of The Machine - Tadj Cazaubon & Violet Mirrors',
-              url: '/audio/machine.wav'
-            }
-                  ],
-          styles: {
-            titlebar_fontsize: '12px',
-            minHeight: '10px',
-            minWidth: '10px'
-          }
-        }
-      ],
-      [
-        "projects",
-        {
-          height: 925,
-          width: 730,
-          x: 250,
-          y: 150,
-          icon: null,
-          title: 'Projects!',
-          content: '<p>Projects</p>',
-          initialURL: '/projects'
-        }
-      ],
-      [
-        "contact",
-        {
-          height: 500,
-          width: 400,
-          icon: null,
-          title: 'Contact',
-          content: '<p>Contact</p>',
-          initialURL: '/contact',
-          styles: {
-              minHeight: '550px',
-              minWidth: '300px'
-          }
-        }
-      ],
-      [
-        "about",
-        {
-          height: 600,
-          width: 550,
-          icon: null,
-          title: 'Who I Am',
-          content: '<p>About</p>',
-          initialURL: '/about',
-          styles: {
-            minHeight: '550px',
-            minWidth: '300px'
-          }
-        }
-      ],
-      [
-        "popup",
-        {
-          height: 100,
-          width: 300,
-          icon: "/icons/messages.png",
-          title: 'Message',
-          content: '<p>This is a popup message</p>',
-          styles: {}
-        }
-      ],
-      [
-        "doom",
-        {
-          height: 600,
-          width: 1000,
-          icon: "icons/doom.png",
-          title: 'Doom',
-          content: '<p>Doom</p>',
-          initialURL: '/doom',
-          styles: {
-            minHeight: '10px',
-            minWidth: '10px'
-          }
-        }
-      ]
-    ])
+    /**
+     * The types of windows that can be opened, by name, with their defaults. Their code is loaded when first opened
+     * @type {WindowRegistry}
+     */
+    this.windowTypes = new WindowRegistry()
+    this.registerWindowType('Window', Window)
+    this.registerWindowType('Popup', () => import('./Windows/timedwindow.js'))
+    this.registerWindowType('MusicPlayer', () => import('./Windows/musicplayer.js'))
+    this.registerWindowType('DisplayProperties', () => import('./Windows/displayproperties.js'))
+    this.registerWindowType('Dialog', () => import('./Windows/dialog.js'))
+    this.registerWindowType('DateTimeProperties', () => import('./Windows/datetimeproperties.js'))
+    Object.entries(config.windowTypes || {}).forEach(([name, loader]) => this.registerWindowType(name, loader))
+
+    /** @type {Map<string, WindowConfig>} - Window presets of the manifest by name, opened by icons, launchers and the start menu */
+    this.defaultConfigs = new Map()
+
+    /** @type {Map<string, string>} - Window types of the presets that aren't plain windows */
+    this.defaultWindowClasses = new Map()
+
+    /** @type {StartMenuEntry[]} - The entry tree of the start menu */
+    this.startMenuEntries = []
+
+    /**
+     * The desktop manifest in use
+     * @type {DesktopManifest|null}
+     */
+    this.manifest = null
+
+    /**
+     * URL the manifest is loaded from, if it came from one
+     * @type {string|null}
+     */
+    this.manifestURL = typeof config.manifest === 'string' ? config.manifest : config.manifest ? null : DEFAULT_MANIFEST_URL
 
     // Page Environment Container
     this.environment = document.createElement('div')
@@ -206,30 +232,24 @@ export default class Environment {
       width: 100vw;
       overflow-x: hidden;
       overflow-y: hidden;
-      background-color: ${this.background_color};
-      background-image: url('images/bg.png');
-      background-size: cover;
+      background-color: var(--desktop-background);
+      color: var(--text-color);
+      font-size: var(--font-size);
       `
 
-    // Taskbar DOM element
-    this.taskbar = document.createElement('div')
-    this.taskbar.id = 'taskbar'
-    this.taskbar.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      right: 0;
-      max-width: 100vw;
-      display: flex;
-      min-height: 30px;
-      align-items: center;
-      padding: 0 10px;
-      z-index: 9999;
-      background-color: ${this.taskbar_background_color};
-      color: ${this.taskbar_text_color};
-      overflow: hidden;
-      cursor: default;
-      `
+    // The theme's custom properties, set on the environment and the content roots of its windows
+    this.themeStyle = document.createElement('style')
+    this.themeStyle.id = 'environment-theme'
+    document.head.appendChild(this.themeStyle)
+
+    /**
+     * The taskbar, owning the launchers, open window buttons and notification tray
+     * @type {Taskbar}
+     */
+    this.taskbar = new Taskbar({ ...config.taskbar })
+    this.taskbar.clock.element.addEventListener('dblclick', () => {
+      this.openDateTimeProperties().catch(err => console.error('Failed to open Date/Time Properties:', err))
+    })
 
     // Icon container DOM element
     this.iconContainer = document.createElement('div')
@@ -245,160 +265,445 @@ export default class Environment {
     `
     this.environment.appendChild(this.iconContainer)
 
-    // Add default icons
-    this.addDefaultTaskbarIcons()
-    this.addDefaultIcons()
-    this.createScrollButtons()
-
-    this.notificationContainer = document.createElement('div')
-    this.notificationContainer.id = 'notification-container'
-    this.notificationContainer.style.display = 'flex'
-    this.notificationContainer.style.overflowX = 'hidden'
-    this.notificationContainer.style.flexGrow = 1
-    this.notificationContainer.style.height = '25px'
-    this.notificationContainer.style.minWidth = '2px'
-    this.notificationContainer.style.maxWidth = '20vw'
-    this.notificationContainer.style.boxShadow = 'rgb(255, 255, 255) -1px -1px inset, rgb(0, 0, 0) 1px 1px inset, rgb(128, 128, 128) -2px -2px inset, rgb(223, 223, 223) 2px 2px inset'
-    this.notificationContainer.style.padding = '2px 5px'
-    this.notificationContainer.style.justifyContent = 'end'
-    this.notificationContainer.style.marginLeft = 'auto'
-    this.notificationContainer.style.alignItems = 'center'
-
-    this.datetime = new Date()
-    const time = document.createElement('div')
-    time.textContent = this.datetime.toLocaleTimeString()
-    time.style.fontSize = '14px'
-    time.style.color = 'rgb(0, 0, 0)'
-    time.style.whiteSpace = 'nowrap'
-    time.style.overflow = 'hidden'
-    time.style.textOverflow = 'ellipsis'
-    this.notificationContainer.appendChild(time)
-    this.taskbar.appendChild(this.notificationContainer)
-    setInterval(() => {
-      this.datetime.setSeconds(this.datetime.getSeconds() + 1)
-      time.textContent = this.datetime.toLocaleTimeString()
-    }, 1000)
+    /**
+     * The desktop icons, their grid layout and selection
+     * @type {Desktop}
+     */
+    this.desktop = new Desktop(this.iconContainer, () => this.saveState())
+
+    /**
+     * A Map of icons by id - the title they were created with
+     * @type {Map<string, Icon>}
+     */
+    this.icons = this.desktop.icons
+
+    /**
+     * Right-click menus of the desktop, icons, title bars and taskbar buttons
+     * @type {ContextMenu}
+     */
+    this.contextMenu = new ContextMenu(this.environment)
+    this.contextMenu.attach(this.iconContainer, 'desktop', e => {
+      return e.target === this.iconContainer ? { x: e.clientX, y: e.clientY } : null
+    })
+
+    // Translucent preview of where a window dragged to an edge will snap to
+    this.snapPreview = document.createElement('div')
+    this.snapPreview.id = 'snap-preview'
+    this.snapPreview.style.cssText = `
+      position: fixed;
+      display: none;
+      box-sizing: border-box;
+      background-color: var(--selection-overlay);
+      border: 2px solid var(--selection-border);
+      pointer-events: none;
+      z-index: 9998;
+    `
+    this.environment.appendChild(this.snapPreview)
+
+    // Start button and menu
+    this.startMenu = new StartMenu(this.startMenuEntries, entry => this.launchEntry(entry), this.environment)
+    this.taskbar.element.prepend(this.startMenu.button)
+
+    // A manifest object is applied straight away, one at a URL once it has loaded
+    if (!this.manifestURL) this.applyManifest(config.manifest)
+    this.addDefaultContextMenus()
+
+    /**
+     * Tray icons, toasts and history of the notifications
+     * @type {NotificationCenter}
+     */
+    this.notifications = new NotificationCenter(this.taskbar, this.environment, action => this.launchEntry(action))
+
+    /**
+     * Keyboard shortcuts for switching, closing, minimizing, moving and resizing windows
+     * @type {KeyboardManager}
+     */
+    this.keyboard = new KeyboardManager(this, config.keyBindings)
+
+    /**
+     * Opens the windows the page URL links to, and pushes history entries as windows are focused and closed
+     * @type {Router}
+     */
+    this.router = new Router(this)
+
     // Bind methods
-    this.onMouseMove = this.onMouseMove.bind(this)
-    this.onMouseUp = this.onMouseUp.bind(this)
+    this.onPointerMove = this.onPointerMove.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
     this.saveState = this.saveState.bind(this)
+    this.onBeforeUnload = this.onBeforeUnload.bind(this)
 
     // Global event listeners
-    document.addEventListener('mousemove', this.onMouseMove)
-    document.addEventListener('mouseup', this.onMouseUp)
-    window.addEventListener('beforeunload', this.saveState)
+    document.addEventListener('pointermove', this.onPointerMove)
+    document.addEventListener('pointerup', this.onPointerUp)
+    document.addEventListener('pointercancel', this.onPointerUp)
+    window.addEventListener('beforeunload', this.onBeforeUnload)
+
+    /**
+     * Matches narrow viewports, where windows open full-screen and can't be moved
+     * @type {MediaQueryList|null}
+     */
+    this.mobileQuery = window.matchMedia?.(MOBILE_QUERY) ?? null
+    this.mobileQuery?.addEventListener('change', () => this.updateMobileLayout())
 
     // Append environment to the document
     document.body.appendChild(this.environment)
     // Append taskbar to the environment container
-    this.environment.appendChild(this.taskbar)
+    this.environment.appendChild(this.taskbar.element)
+
+    /**
+     * Resolves with the restored windows once the saved state has been restored
+     * @type {Promise<Window[]>}
+     */
+    this.ready = this.loadStartupManifest()
+      .then(() => autoRestore ? this.restoreState() : [])
+      .then(async windows => {
+        const linked = config.router !== false && this.router.linksWindows
+        if (windows.length === 0 && !linked && config.boot !== false) await this.openBootWindows()
+        if (config.router !== false) await this.router.start()
+        return windows
+      })
   }
 
-  createScrollButtons() {
-    // Left scroll button
-    this.leftScrollButton = document.createElement('button')
-    this.leftScrollButton.innerHTML = '&#10094;'  // Left chevron
-    this.leftScrollButton.style.cssText = `
-      left: 0;
-      top: 0;
-      bottom: 0;
-      min-width: 20px;
-      background: ${this.taskbar_background_color};
-      border: none;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10;
-      margin-left: auto;
-      margin-right: 5px;
-    `
-    this.leftScrollButton.addEventListener('click', () => this.scroll(-200))
-    this.taskbar.appendChild(this.leftScrollButton)
-
-    // Create scroll container
-    this.taskbarScrollContainer = document.createElement('div')
-    this.taskbarScrollContainer.id = 'taskbar-scroll-container'
-    this.taskbarScrollContainer.style.display = 'flex'
-    this.taskbarScrollContainer.style.overflowX = 'hidden'
-    this.taskbarScrollContainer.style.flexGrow = 1
-    this.taskbarScrollContainer.style.height = '25px'
-    this.taskbarScrollContainer.style.minWidth = '0'
-    this.taskbarScrollContainer.style.maxWidth = '40vw'  // Leave space for scroll buttons
-    this.taskbarScrollContainer.style.boxShadow = 'rgb(255, 255, 255) -1px -1px inset, rgb(0, 0, 0) 1px 1px inset, rgb(128, 128, 128) -2px -2px inset, rgb(223, 223, 223) 2px 2px inset'
-    this.taskbarScrollContainer.style.alignItems = 'center'
-    this.taskbarScrollContainer.style.padding = '2px 5px'
-
-    this.taskbar.appendChild(this.taskbarScrollContainer)
-
-    // Right scroll button
-    this.rightScrollButton = document.createElement('button')
-    this.rightScrollButton.innerHTML = '&#10095;'  // Right chevron
-    this.rightScrollButton.style.cssText = `
-      right: 0;
-      top: 0;
-      bottom: 0;
-      width: 12px;
-      min-width: 12px;
-      background: ${this.taskbar_background_color};
-      border: none;
-      cursor: pointer;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10;
-      margin-left: 5px;
-      margin-right: auto;
-    `
-    this.rightScrollButton.addEventListener('click', () => this.scroll(200))
-    this.taskbar.appendChild(this.rightScrollButton)
+  /**
+   * Load the manifest at the manifestURL on startup, falling back to the built-in one if it can't be used.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async loadStartupManifest () {
+    if (!this.manifestURL) return
+    try {
+      await this.loadManifest()
+      return
+    } catch (err) {
+      console.error(`Failed to load the desktop manifest at ${this.manifestURL}:`, err)
+    }
+    if (this.manifestURL === DEFAULT_MANIFEST_URL) return
+
+    try {
+      this.applyManifest(await fetchManifest(DEFAULT_MANIFEST_URL, this.fetchCache.fetch))
+    } catch (err) {
+      console.error('Failed to load the built-in desktop manifest:', err)
+    }
+  }
+
+  /**
+   * Load a desktop manifest and rebuild the desktop from it, without a page refresh.
+   * Nothing changes if the manifest can't be loaded or is invalid. Open windows are left alone.
+   * @param {DesktopManifest|string} [source] - The manifest, or the URL to load it from. Defaults to reloading the manifestURL
+   * @returns {Promise<DesktopManifest>} - The applied manifest
+   * @throws {ManifestError} - If the manifest is invalid
+   */
+  async loadManifest (source = this.manifestURL) {
+    if (!source) throw new Error('No manifest URL to load')
+    const manifest = typeof source === 'string' ? await fetchManifest(source, this.fetchCache.fetch) : source
+    this.applyManifest(manifest)
+    if (typeof source === 'string') this.manifestURL = source
+    return manifest
+  }
+
+  /**
+   * Check a desktop manifest, then replace the theme, window presets, start menu,
+   * taskbar launchers and desktop icons with the ones it describes.
+   * Icons keep the positions, names and deletions the user gave them.
+   * @param {DesktopManifest} manifest - The manifest
+   * @throws {ManifestError} - If the manifest is invalid, listing every problem with its path
+   */
+  applyManifest (manifest) {
+    const problems = validateManifest(manifest, this.windowTypes.names())
+    if (problems.length > 0) throw new ManifestError(problems)
+    this.manifest = manifest
+
+    this.applyDisplay()
+
+    // Presets are copied, so windows changing their config don't change the manifest.
+    // Windows opened from one are linked to from the page URL by its name
+    this.defaultConfigs.clear()
+    this.defaultWindowClasses.clear()
+    Object.entries(manifest.windows || {}).forEach(([name, { class: className, ...preset }]) => {
+      this.defaultConfigs.set(name, { route: name, ...structuredClone(preset) })
+      if (className) this.defaultWindowClasses.set(name, className)
+    })
+
+    this.startMenuEntries = structuredClone(manifest.startMenu || [])
+    this.startMenu.setEntries(this.startMenuEntries)
+
+    this.#manifestLaunchers.forEach(id => this.taskbar.removeLauncher(id))
+    this.#manifestLaunchers = (manifest.launchers || []).map(launcher => {
+      const id = launcher.id || launcher.title.toLowerCase()
+      this.taskbar.addLauncher({ id, title: launcher.title, action: () => this.launchEntry(launcher) })
+      return id
+    })
+
+    const layout = this.desktop.getLayout()
+    this.#manifestIcons.forEach(id => this.desktop.remove(id))
+    this.desktop.applyLayout(layout)
+    this.#manifestIcons = (manifest.icons || []).map(icon => this.#addManifestIcon(icon))
+  }
+
+  /**
+   * Add a desktop icon the manifest describes.
+   * @private
+   * @param {ManifestIcon} icon - The manifest's icon entry
+   * @returns {string} - The icon id
+   */
+  #addManifestIcon (icon) {
+    return this.addIcon({
+      ...icon,
+      onhover: icon.onhover || icon.image,
+      clickhandler: () => this.launchEntry(icon)
+    }).id
+  }
+
+  /**
+   * The display settings in use: the user's picks, over the manifest theme, over the defaults.
+   * @returns {DisplaySettings}
+   */
+  get display () {
+    const { name, wallpapers, ...theme } = this.manifest?.theme || {}
+    return {
+      ...DEFAULT_DISPLAY,
+      ...theme,
+      ...(name ? { theme: name } : {}),
+      ...this.displayOverrides
+    }
+  }
+
+  /**
+   * Switch to a registered theme, keeping the choice across visits.
+   * @param {string} name - The theme name
+   */
+  setTheme (name) {
+    this.setDisplay({ theme: name })
+  }
+
+  /**
+   * Change the theme, wallpaper or font size, keeping the choice across visits.
+   * @param {Partial<DisplaySettings>} settings - The settings to change
+   */
+  setDisplay (settings) {
+    if (settings.theme !== undefined && !getTheme(settings.theme)) throw new Error(`No theme registered as ${settings.theme}`)
+    this.displayOverrides = { ...this.displayOverrides, ...settings }
+    this.applyDisplay()
+    this.saveState()
+    this.events.emit('display:change', { display: this.display })
+  }
+
+  /**
+   * Show the display settings in use.
+   * @private
+   */
+  applyDisplay () {
+    const display = this.display
+    let theme = getTheme(display.theme)
+    if (!theme) {
+      console.warn(`No theme registered as ${display.theme} - using ${DEFAULT_DISPLAY.theme}`)
+      theme = getTheme(DEFAULT_DISPLAY.theme)
+    }
 
-    // Initialize scroll state
-    this.updateScrollButtons()
+    const root = `#${this.environment.id}`
+    this.themeStyle.textContent = themeCSS(`${root}, ${root} .window-content-root`, theme, display.fontSize)
+    Object.assign(this.environment.style, wallpaperStyle(display.wallpaper, display.wallpaperMode))
   }
 
-  scroll(amount) {
-    this.taskbarScrollContainer.scrollBy({
-      left: amount,
-      behavior: 'smooth'
+  /**
+   * Open Display Properties, or focus it if it's already open.
+   * @returns {Promise<Window>} - The Display Properties window
+   */
+  async openDisplayProperties () {
+    const open = Array.from(this.windows.values()).find(window => window.type === 'DisplayProperties')
+    if (open) {
+      this.focusWindow(open)
+      return open
+    }
+    return this.open('DisplayProperties', {
+      display: this.display,
+      wallpapers: this.manifest?.theme?.wallpapers || []
     })
-    
-    // Update scroll button states after a short delay
-    setTimeout(() => this.updateScrollButtons(), 50)
   }
 
-  updateScrollButtons() {
-    const container = this.taskbarScrollContainer
-    const scrollLeft = container.scrollLeft
-    const scrollWidth = container.scrollWidth
-    const clientWidth = container.clientWidth
+  /**
+   * Open Date/Time Properties with the taskbar clock's options, or focus it if it's already open.
+   * @returns {Promise<Window>} - The Date/Time Properties window
+   */
+  async openDateTimeProperties () {
+    const open = Array.from(this.windows.values()).find(window => window.type === 'DateTimeProperties')
+    if (open) {
+      this.focusWindow(open)
+      return open
+    }
+    const { hour12, locale, timeZone } = this.taskbar.clock.options
+    return this.open('DateTimeProperties', { clock: { hour12, locale, timeZone } })
+  }
+
+  /**
+   * Open the windows the manifest lists to open on boot, in order.
+   * @returns {Promise<Window[]>} - The opened windows
+   */
+  async openBootWindows () {
+    const opened = []
+    for (const boot of this.manifest?.boot || []) {
+      const { config, ...overrides } = typeof boot === 'string' ? { config: boot } : boot
+      const window = await this.openDefault(config, overrides)
+      if (window) opened.push(window)
+    }
+    return opened
+  }
+
+  /**
+   * Open the window or link a start menu entry or notification action points at.
+   * @param {StartMenuEntry|NotificationAction} entry - The entry to launch
+   * @returns {Promise<Window|null>} - The opened window, if any
+   */
+  async launchEntry (entry) {
+    if (entry.href) {
+      globalThis.window.open(entry.href, '_blank')
+      return null
+    }
+
+    return this.openDefault(entry.config, {}, entry.windowClass)
+  }
+
+  /**
+   * Open a window from a default config, as its window type.
+   * @param {string} name - The defaultConfigs key
+   * @param {WindowConfig} [overrides] - Config fields to use instead of the preset's
+   * @param {string} [typeName] - Registered name of the window type. Defaults to the preset's class
+   * @returns {Promise<Window|null>} - The opened window, or null if there's no such config or its type can't be loaded
+   */
+  async openDefault (name, overrides = {}, typeName = this.defaultWindowClasses.get(name) || 'Window') {
+    const config = this.defaultConfigs.get(name)
+    if (!config) {
+      console.error(`No default config named ${name}`)
+      return null
+    }
+
+    try {
+      return await this.open(typeName, { ...config, ...overrides })
+    } catch (err) {
+      console.error(`Failed to open ${name}:`, err)
+      return null
+    }
+  }
+
+  /**
+   * Register a window type, so windows can be opened, saved and restored by its name.
+   * @param {string} name - The type name, e.g. 'MusicPlayer'
+   * @param {WindowLoader|typeof Window} loader - Loads the class, e.g. `() => import('./Windows/musicplayer.js')`, or the class itself
+   * @param {WindowConfig} [defaults] - Config fields windows of the type start from
+   * @throws {WindowTypeError} - If the name is already registered
+   */
+  registerWindowType (name, loader, defaults = {}) {
+    this.windowTypes.register(name, loader, defaults)
+  }
+
+  /**
+   * Open a window of a registered type, loading its code first if it hasn't been yet.
+   * @param {string} typeName - The type name
+   * @param {WindowConfig} [config] - The window configuration
+   * @returns {Promise<Window>} - The opened window
+   * @throws {WindowTypeError} - If the type isn't registered or doesn't load
+   */
+  async open (typeName, config = {}) {
+    const WindowClass = await this.windowTypes.load(typeName)
+    return this.newWindow(WindowClass, { ...config, type: typeName })
+  }
+
+  /**
+   * Open a modal dialog and wait for its result.
+   * A dialog with an owner blocks it and is centred over it, others are centred on the desktop.
+   * @param {WindowConfig & DialogConfigFields} config - The dialog's message, buttons and input field
+   * @param {DialogOptions} [options] - The title, icon and owner
+   * @returns {Promise<*>} - Resolves with the value of the pressed button, or the cancel value
+   */
+  async dialog (config, { title, icon, owner } = {}) {
+    const ownerWindow = typeof owner === 'string' ? this.windows.get(owner) : owner
+    const dialog = await this.open('Dialog', {
+      ...config,
+      title: title ?? config.title ?? ownerWindow?.title ?? document.title,
+      messageIcon: icon ?? config.messageIcon,
+      owner: ownerWindow?.id || null,
+      modal: true
+    })
+    const result = new Promise(resolve => dialog.on('result', resolve))
+    dialog.focusControl()
+    return result
+  }
 
-    // Update left button
-    this.leftScrollButton.style.opacity = scrollLeft > 0 ? 1 : 0
+  /**
+   * Show a message with an OK button.
+   * @param {string} message - The message
+   * @param {DialogOptions} [options] - The title, icon and owner. The icon defaults to 'info'
+   * @returns {Promise<void>} - Resolves once the message is dismissed
+   */
+  async alert (message, options = {}) {
+    await this.dialog({ message, messageIcon: 'info' }, options)
+  }
 
-    // Update right button
-    this.rightScrollButton.style.opacity = 
-      (scrollWidth > clientWidth && scrollLeft + clientWidth < scrollWidth) ? 1 : 0
+  /**
+   * Ask a question with OK and Cancel buttons.
+   * @param {string} message - The question
+   * @param {DialogOptions} [options] - The title, icon and owner. The icon defaults to 'question'
+   * @returns {Promise<boolean>} - Resolves with whether OK was pressed
+   */
+  confirm (message, options = {}) {
+    return this.dialog({
+      message,
+      messageIcon: 'question',
+      buttons: [{ label: 'OK', value: true }, { label: 'Cancel', value: false }],
+      cancelValue: false
+    }, options)
   }
 
-  addDefaultTaskbarIcons () {
-    const icon1 = this.createTaskbarIcon('Welcome', Window, this.defaultConfigs.get('welcome'))
-    this.taskbar.appendChild(icon1)
+  /**
+   * Ask for a line of text.
+   * @param {string} message - The question
+   * @param {string} [defaultValue] - The text the field starts with
+   * @param {DialogOptions} [options] - The title, icon and owner
+   * @returns {Promise<string|null>} - Resolves with the text, or null if cancelled
+   */
+  prompt (message, defaultValue = '', options = {}) {
+    return this.dialog({
+      message,
+      input: defaultValue,
+      buttons: [{ label: 'OK', value: null }, { label: 'Cancel', value: null }],
+      cancelValue: null
+    }, options)
+  }
 
-    const icon2 = this.createTaskbarIcon('Projects', Window, this.defaultConfigs.get('projects'))                                                  
-    this.taskbar.appendChild(icon2)
-    
-    const icon4 = this.createTaskbarIcon('Contact', Window, this.defaultConfigs.get('contact'))
-    this.taskbar.appendChild(icon4)
+  /**
+   * The modal window blocking a window, if any - the front-most when there are several.
+   * @param {Window} window - The window
+   * @returns {Window|null}
+   */
+  modalOf (window) {
+    const windows = Array.from(this.windows.values())
+    for (let i = windows.length - 1; i >= 0; i--) {
+      if (windows[i].modal && windows[i].owner === window.id) return windows[i]
+    }
+    return null
+  }
 
-    const icon5 = this.createTaskbarIcon('Source', null, null, () => globalThis.window.open('https://github.com/sudoDeVinci/devinci.cloud-frontend'))
-    this.taskbar.appendChild(icon5)
+  /**
+   * Show a notification in the taskbar tray, with a balloon toast.
+   * Action buttons open windows from defaultConfigs the same way start menu entries do.
+   * @param {NotificationOptions} options - The notification
+   * @returns {NotificationRecord} - The shown notification
+   */
+  notify (options) {
+    return this.notifications.notify(options)
+  }
 
-    const icon6 = this.createTaskbarIcon('About Me', Window, this.defaultConfigs.get('about'))
-    this.taskbar.appendChild(icon6)
+  /**
+   * Add an entry to the start menu.
+   * @param {StartMenuEntry} entry - The entry to add
+   * @param {string[]} [path] - Labels of the submenu to add it to, e.g. ['Programs', 'Games']
+   */
+  registerStartMenuEntry (entry, path = []) {
+    this.startMenu.register(entry, path)
   }
 
   /**
+   * Add an icon to the desktop, snapped to the free grid cell nearest to its position.
    * @param {IconConfig} config 
    * @returns {Icon} - The created icon
    */
@@ -409,103 +714,142 @@ export default class Environment {
                           config.onhover,
                           config.clickhandler
                         )
-    icon.setPosition(config.x, config.y)
-    this.icons.set(config.title, icon)
-    this.iconContainer.appendChild(icon.element)
+    if (this.desktop.add(icon, config.x, config.y)) {
+      this.contextMenu.attach(icon.element, 'icon', () => ({ icon }))
+    }
     return icon
   }
 
-  addDefaultIcons () {
+  /**
+   * Put the deleted icons of the manifest back on the desktop.
+   */
+  restoreDeletedIcons () {
+    this.desktop.restoreDeleted()
+    const icons = this.manifest?.icons || []
+    // Registered like the icons added at boot, so applying another manifest removes them
+    icons.filter(icon => !this.desktop.icons.has(icon.title))
+      .map(icon => this.#addManifestIcon(icon))
+      .filter(id => !this.#manifestIcons.includes(id))
+      .forEach(id => this.#manifestIcons.push(id))
+    this.saveState()
+  }
 
-    /**@type {IconConfig[]} - Default icons to be added to the desktop*/
-    const defaultIcons = [
-      {
-        title: 'Welcome',
-        image: 'images/clippy.gif',
-        onhover: 'images/clippy_closeup.gif',
-        x: 20,
-        y: 50,
-        clickhandler: () => this.newWindow(Window, this.defaultConfigs.get('welcome'))
-      },
+  /**
+   * Arrange the desktop icons by name, down each column from the top-left.
+   */
+  arrangeIcons () {
+    this.desktop.arrangeByName()
+  }
+
+  /**
+   * Move every desktop icon to the free grid cell nearest to it.
+   */
+  lineUpIcons () {
+    this.desktop.lineUp()
+  }
+
+  /**
+   * Register the built-in context menu items of the desktop, icons, title bars and taskbar buttons.
+   * @private
+   */
+  addDefaultContextMenus () {
+    this.registerContextMenu('desktop', () => [
       {
-        title: 'Current Projects',
-        image: 'icons/console.png',
-        onhover: 'icons/console.png',
-        x: 20,
-        y: 175,
-        content: "",
-        clickhandler: () => this.newWindow(Window, this.defaultConfigs.get('projects'))
+        label: 'Arrange Icons',
+        children: [
+          { label: 'by Name', action: () => this.arrangeIcons() },
+          { label: 'Line up Icons', action: () => this.lineUpIcons() }
+        ]
       },
+      { label: 'Refresh', action: () => this.desktop.refresh() },
+      { label: 'Restore Deleted Icons', disabled: !this.desktop.hasDeleted, action: () => this.restoreDeletedIcons() },
+      { separator: true },
+      { label: 'Properties', action: () => this.openDisplayProperties() }
+    ])
+
+    this.registerContextMenu('icon', ({ icon }) => [
+      { label: 'Open', disabled: !icon.clickHandler, action: () => icon.clickHandler() },
+      { separator: true },
+      { label: 'Rename', action: () => this.desktop.rename(icon.id) },
       {
-        title: 'Music',
-        image: 'icons/music.png',
-        onhover: 'icons/music.png',
-        x: 20,
-        y: 300,
-        clickhandler: () => this.newWindow(MusicPlayer, this.defaultConfigs.get('music'))
-      },
+        label: 'Delete',
+        action: () => {
+          // Deleting acts on the whole selection, like dragging does
+          const icons = this.desktop.selection.has(icon) ? Array.from(this.desktop.selection) : [icon]
+          icons.forEach(selected => this.desktop.delete(selected.id))
+        }
+      }
+    ])
+
+    this.registerContextMenu('titlebar', ({ window }) => {
+      const fixed = !window.movable || window.isMaximized
+      return [
+        { label: 'Restore', disabled: !window.isMaximized && !window.snapped, action: () => window.restoreDown() },
+        { label: 'Move', disabled: fixed, action: () => window.startKeyboardLayout('move') },
+        { label: 'Size', disabled: fixed || !window.resizable, action: () => window.startKeyboardLayout('size') },
+        { label: 'Minimize', disabled: window.isMinimized, action: () => window.toggleMinimize() },
+        { label: 'Maximize', disabled: fixed || !window.resizable, action: () => window.maximize() },
+        { separator: true },
+        { label: 'Close', action: () => window.emit('close', window) }
+      ]
+    })
+
+    this.registerContextMenu('taskbar', ({ window }) => [
+      { label: window.isMinimized ? 'Restore' : 'Minimize', action: () => window.toggleMinimize() },
+      { label: 'Close', action: () => window.emit('close', window) },
+      { separator: true },
       {
-        title: 'Doom',
-        image: 'icons/doom.png',
-        onhover: 'icons/doom.png',
-        x: 20,
-        y: 425,
-        clickhandler: () => this.newWindow(Window, this.defaultConfigs.get('doom'))
+        label: 'Close all windows of this type',
+        action: () => this.windowsOfType(window).forEach(win => win.emit('close', win))
       }
-    ]
+    ])
+  }
+
+  /**
+   * Add items to the context menu of a part of the environment.
+   * The built-in targets are 'desktop' ({x, y}), 'icon' ({icon}), 'titlebar' ({window}) and 'taskbar' ({window}).
+   * @param {string} target - The target name
+   * @param {ContextMenuProvider} provider - Builds the items for the clicked target
+   * @returns {Function} - Removes the provider
+   */
+  registerContextMenu (target, provider) {
+    return this.contextMenu.register(target, provider)
+  }
 
-    defaultIcons.forEach(icon => {
-      this.addIcon(icon)
+  /**
+   * The open windows of the same class, showing the same page as a window.
+   * @param {Window} window - The window
+   * @returns {Window[]}
+   */
+  windowsOfType (window) {
+    const url = window.getState().initialURL
+    return Array.from(this.windows.values()).filter(win => {
+      return win.type === window.type && win.getState().initialURL === url
     })
   }
 
   /**
-   * 
+   * Add a pinned launcher to the taskbar, opening a window or running a callback.
    * @param {string} title 
    * @param {typeof Window} WindowClass 
    * @param {WindowConfig} config 
    * @param {Function} callback 
-   * @returns 
+   * @returns {HTMLButtonElement} - The launcher button
    */
   createTaskbarIcon (title, WindowClass, config, callback=null) {
-    const taskbarItem = document.createElement('button')
-    taskbarItem.id = `taskbar-item-${title.toLowerCase()}`
-    taskbarItem.className = 'taskbar-item'
-    taskbarItem.style.padding = '0 10px'
-    taskbarItem.style.cursor = 'pointer'
-    taskbarItem.whiteSpace = 'nowrap'
-    taskbarItem.style.display = 'flex'
-    taskbarItem.style.alignItems = 'center'
-    taskbarItem.style.fontSize = '1rem'
-    taskbarItem.style.whiteSpace = 'nowrap'
-    taskbarItem.style.minWidth = '20px'
-    taskbarItem.style.textOverflow = 'ellipsis'
-    taskbarItem.style.overflow = 'hidden'
-    taskbarItem.textContent = title
-    if (callback) taskbarItem.onclick = callback
-    else taskbarItem.onclick = () => this.newWindow(WindowClass, config)
-    return taskbarItem
+    return this.taskbar.addLauncher({
+      title,
+      action: callback || (() => this.newWindow(WindowClass, config))
+    })
   }
 
+  /**
+   * Add a taskbar button for an open window.
+   * @param {Window} window 
+   */
   pinWindow (window) {
-    const taskbarItem = document.createElement('button')
-    taskbarItem.className = `taskbar-item taskbar-item-${window.id}`
-    taskbarItem.style.padding = '0 10px'
-    taskbarItem.style.cursor = 'pointer'
-    taskbarItem.whiteSpace = 'nowrap'
-    taskbarItem.style.display = 'flex'
-    taskbarItem.style.alignItems = 'center'
-    taskbarItem.style.fontSize = '1rem'
-    taskbarItem.style.whiteSpace = 'nowrap'
-    taskbarItem.style.minWidth = '20px'
-    taskbarItem.style.textOverflow = 'ellipsis'
-    taskbarItem.style.overflow = 'hidden'
-    taskbarItem.textContent = window.title
-    taskbarItem.onclick = () => window.toggleMinimize()
-    this.taskbarScrollContainer.appendChild(taskbarItem)
-    this.icons.set(window.id, taskbarItem)
-    // Update scroll buttons after adding new item
-    this.updateScrollButtons()
+    const button = this.taskbar.pinWindow(window)
+    this.contextMenu.attach(button, 'taskbar', () => ({ window }))
   }
 
   /**
@@ -517,16 +861,29 @@ export default class Environment {
     if (this.windows.has(window.id)) {
       this.windows.delete(window.id)
       this.environment.removeChild(window.element)
-
-      this.taskbarScrollContainer.removeChild(this.icons.get(window.id))
-      this.icons.delete(window.id)
+      this.taskbar.unpinWindow(window.id)
 
       window.destroy()
+      this.events.emit('window:close', { window })
+
+      if (this.#popups.includes(window)) {
+        this.#popups.splice(this.#popups.indexOf(window), 1)
+        this.stackPopups()
+      }
+
+      // Windows belonging to this one close with it, and a closed modal gives its owner back
+      Array.from(this.windows.values())
+        .filter(win => win.owner === window.id)
+        .forEach(win => win.emit('close', win))
+      const owner = window.owner ? this.windows.get(window.owner) : null
+      if (owner && window.modal && !this.modalOf(owner)) {
+        owner.setBlocked(false)
+        this.focusWindow(owner)
+      }
 
       this.updateZIndices()
+      this.updateFocus()
       this.saveState()
-
-      this.updateScrollButtons()
     }
   }
 
@@ -542,19 +899,26 @@ export default class Environment {
       onhover: window.icon,
       x: 20,
       y: 50,
-      clickhandler: () => this.newWindow(typeof window, window.getConfig())
+      clickhandler: () => this.open(window.type, window.getConfig())
     }
     this.addIcon(config)
   }
 
   /**
-   * Create a new window and add it to the environment
+   * Create a new window and add it to the environment.
+   * Classes of no registered type are registered under their class name - use open with a registered type
+   * for names that survive minification.
    * @param {typeof Window} WindowClass - window class/subclass type
    * @param {WindowConfig} config - window configuration object
    * @returns {Window} window instance
    */
   newWindow (WindowClass = Window, config = {}) {
     const win = this.createWindow(crypto.randomUUID(), WindowClass, config)
+    this.placeOwnedWindow(win)
+    if (win.type === 'Popup') {
+      this.#popups.push(win)
+      this.stackPopups()
+    }
     this.pinWindow(win)
     this.bringToFront(win)
     this.updateZIndices()
@@ -562,7 +926,45 @@ export default class Environment {
     return win
   }
 
-  
+  /**
+   * Centre a window over its owner, and block the owner while a modal window is open.
+   * Modal windows without an owner are centred on the desktop.
+   * @private
+   * @param {Window} window - The new window
+   */
+  placeOwnedWindow (window) {
+    const owner = window.owner ? this.windows.get(window.owner) : null
+    if (!owner && !window.modal) return
+
+    if (owner?.isMinimized) owner.toggleMinimize()
+    window.centerOver(owner || Window.getWorkArea())
+    if (owner && window.modal) owner.setBlocked(true)
+  }
+
+  /**
+   * Stack the open popups up from the bottom-right corner of the desktop, the newest at the bottom.
+   * Once a column reaches the top, the next one starts to its left.
+   */
+  stackPopups () {
+    if (this.isMobileLayout) return
+    const area = Window.getWorkArea()
+    const floor = area.y + area.height - POPUP_GAP
+    let right = area.x + area.width - POPUP_GAP
+    let bottom = floor
+    let columnWidth = 0
+
+    this.#popups.slice().reverse().forEach(popup => {
+      if (columnWidth > 0 && bottom - popup.height < area.y) {
+        right -= columnWidth + POPUP_GAP
+        bottom = floor
+        columnWidth = 0
+      }
+      popup.place({ x: right - popup.width, y: bottom - popup.height, width: popup.width, height: popup.height })
+      bottom -= popup.height + POPUP_GAP
+      columnWidth = Math.max(columnWidth, popup.width)
+    })
+  }
+
   /**
    * Factory method for creating windows by passed type.
    * @param {string} id - unique window id
@@ -583,36 +985,23 @@ export default class Environment {
       return this.windows.get(id)
     }
 
-    // Check if window class is registered in windowTypes
-    if (!this.windowTypes.has(WindowClass.name)) {
-      console.log(`>> ${WindowClass.name} class not registered in windowTypes`)
-      
-      // Check for window class inheritence
-      if (WindowClass.prototype instanceof Window) {
-        console.log('>>> Window class is a subclass of Window - Registering new Type')
-        this.windowTypes.set(WindowClass, {
-          width: config.width || 600,
-          height: config.height || 400,
-          title: config.title || '',
-          icon: config.icon || '',
-          styles: config.styles || {},
-          events: config.events || {},
-          savedstate: config.savedState || {}
-        })
-      } else {
-        console.error('>>>Window class is not a subclass of Window - Using default Window class.')
-        WindowClass = Window
-      }
+    if (WindowClass !== Window && !(WindowClass?.prototype instanceof Window)) {
+      console.error('>>>Window class is not a subclass of Window - Using default Window class.')
+      WindowClass = Window
+    }
 
-    } else {
-      // Merge config with default config - if attributes are missing, use default
-      const defaultconfig = this.windowTypes.get(WindowClass.name)
-      for (const defaultKey in defaultconfig) {
-        config[defaultKey] = config[defaultKey] || defaultconfig[defaultKey]
-      }
+    // Windows are saved by the name of their type, so classes of no registered type are given one
+    let type = this.windowTypes.nameOf(WindowClass)
+    if (!type) {
+      const name = config.type || WindowClass.name
+      if (!this.windowTypes.has(name)) console.log(`>> ${name} class not registered in windowTypes - Registering new Type`)
+      type = this.windowTypes.adopt(WindowClass, name)
     }
 
-    const newWindow = new WindowClass(id, config)
+    // Fields missing from the config are taken from the type's defaults
+    // The caller's config is left as it is - it may be a shared preset
+    config = { ...this.windowTypes.defaults(type), ...config, type }
+    const newWindow = new WindowClass(id, { ...config, fetchCache: config.fetchCache || this.fetchCache })
 
     if (config.events) {
       Object.entries(config.events).forEach(([event, handler]) => {
@@ -624,17 +1013,32 @@ export default class Environment {
     newWindow.on('close', (win) => this.removeWindow(win))
     newWindow.on('focus', (win) => this.bringToFront(win))
     newWindow.on('dragStart', () => this.startDragging(newWindow))
-    newWindow.on('minimize', () => this.saveState())
+    newWindow.on('minimize', () => {
+      this.updateFocus()
+      this.saveState()
+    })
     newWindow.on('drag', () => this.saveState())
     newWindow.on('dragEnd', () => this.saveState())
-    newWindow.on('popup', (data) => this.newWindow(`${crypto.randomUUID()}-${id}`, data, Popup))
+    newWindow.on('resizeEnd', () => this.saveState())
+    newWindow.on('navigate', () => this.saveState())
+    newWindow.on('maximize', () => this.saveState())
+    newWindow.on('snap', () => this.saveState())
+    newWindow.on('snapPreview', (bounds) => this.showSnapPreview(bounds))
+    newWindow.on('popup', (data) => {
+      this.open('Popup', data).catch(err => console.error('Failed to open popup:', err))
+    })
     newWindow.on('exportIconConfig', () => this.exportIconConfig(newWindow))
-    newWindow.on('changeTaskbarTitle', (data) => {this.icons.get(data.id).textContent = data.title})
+    newWindow.on('displayChange', (settings) => this.setDisplay(settings))
+    newWindow.on('changeTaskbarTitle', (data) => this.taskbar.setItemTitle(data.id, data.title))
+    BUS_WINDOW_EVENTS.forEach(event => newWindow.on(event, () => this.events.emit(`window:${event}`, { window: newWindow })))
+    this.contextMenu.attach(newWindow.titleBar, 'titlebar', () => ({ window: newWindow }))
   
     this.windows.set(newWindow.id, newWindow)
     this.environment.appendChild(newWindow.element)
+    if (this.isMobileLayout) this.applyMobileLayout(newWindow)
     this.updateZIndices()
     this.saveState()
+    this.events.emit('window:open', { window: newWindow })
 
     return newWindow
   }
@@ -645,6 +1049,16 @@ export default class Environment {
    * @param {Window} window 
    */
   bringToFront (window) {
+    // A window blocked by a modal comes forward behind it, and the modal flashes
+    const modal = this.modalOf(window)
+    if (modal) {
+      this.windows.delete(window.id)
+      this.windows.set(window.id, window)
+      this.bringToFront(modal)
+      if (!this.modalOf(modal)) modal.flash()
+      return
+    }
+
     const windowArray = Array.from(this.windows.values())
     const index = windowArray.indexOf(window)
     if (index !== -1) {
@@ -653,10 +1067,126 @@ export default class Environment {
       this.windows.clear()
       windowArray.forEach(w => this.windows.set(w.id, w))
       this.updateZIndices()
+      this.updateFocus()
       this.saveState()
     }
   }
 
+  /**
+   * The focused window - the front-most window that isn't minimized.
+   * @returns {Window|null}
+   */
+  get activeWindow () {
+    const windows = Array.from(this.windows.values())
+    for (let i = windows.length - 1; i >= 0; i--) {
+      if (!windows[i].isMinimized) return windows[i]
+    }
+    return null
+  }
+
+  /**
+   * Focus a window, restoring it first if it's minimized.
+   * @param {Window} window 
+   */
+  focusWindow (window) {
+    if (window.isMinimized) window.toggleMinimize()
+    this.bringToFront(window)
+  }
+
+  /**
+   * Show the title bar and taskbar button of the focused window as active, emitting window:focus when it changes.
+   */
+  updateFocus () {
+    const active = this.activeWindow
+    this.windows.forEach(window => window.setActive(window === active))
+    this.taskbar.highlight(active ? active.id : null)
+    this.router.update()
+
+    if (active === this.#focused) return
+    this.#focused = active
+    if (active) this.events.emit('window:focus', { window: active })
+  }
+
+  /**
+   * Show the snap preview at the given geometry, or hide it.
+   * @param {{x: number, y: number, width: number, height: number}|null} bounds 
+   */
+  showSnapPreview (bounds) {
+    if (!bounds) {
+      this.snapPreview.style.display = 'none'
+      return
+    }
+    this.snapPreview.style.left = `${bounds.x}px`
+    this.snapPreview.style.top = `${bounds.y}px`
+    this.snapPreview.style.width = `${bounds.width}px`
+    this.snapPreview.style.height = `${bounds.height}px`
+    this.snapPreview.style.display = 'block'
+  }
+
+  /**
+   * The windows that aren't minimized, from back to front.
+   * @returns {Window[]}
+   */
+  getVisibleWindows () {
+    return Array.from(this.windows.values()).filter(window => !window.isMinimized)
+  }
+
+  /**
+   * Lay out all non-minimized windows diagonally, each offset from the one behind it.
+   */
+  cascadeWindows () {
+    const area = Window.getWorkArea()
+    const windows = this.getVisibleWindows()
+    const offset = 30
+    const width = Math.floor(area.width * 0.6)
+    const height = Math.floor(area.height * 0.6)
+
+    windows.forEach((window, index) => {
+      // Wrap back to the top left once the stack would run off the work area
+      const step = index % Math.max(1, Math.floor((area.height - height) / offset) + 1)
+      window.place({
+        x: area.x + step * offset,
+        y: area.y + step * offset,
+        width,
+        height
+      })
+    })
+    this.saveState()
+  }
+
+  /**
+   * Lay out all non-minimized windows in a grid filling the work area.
+   * Tiling horizontally stacks the windows in rows, tiling vertically places them side by side in columns.
+   * @param {'horizontal'|'vertical'} direction - The tiling direction
+   */
+  tileWindows (direction = 'horizontal') {
+    const area = Window.getWorkArea()
+    const windows = this.getVisibleWindows()
+    if (windows.length === 0) return
+
+    // Up to three windows share a single row or column, more are laid out in a grid
+    const lines = windows.length <= 3 ? windows.length : Math.ceil(Math.sqrt(windows.length))
+    const perLine = Math.ceil(windows.length / lines)
+
+    windows.forEach((window, index) => {
+      const line = Math.floor(index / perLine)
+      const position = index % perLine
+      // The last line may hold fewer windows, which share its space
+      const inLine = line === lines - 1 ? windows.length - line * perLine : perLine
+
+      if (direction === 'vertical') {
+        const width = Math.floor(area.width / lines)
+        const height = Math.floor(area.height / inLine)
+        window.place({ x: area.x + line * width, y: area.y + position * height, width, height })
+      } else {
+        const width = Math.floor(area.width / inLine)
+        const height = Math.floor(area.height / lines)
+        window.place({ x: area.x + position * width, y: area.y + line * height, width, height })
+      }
+    })
+    this.saveState()
+  }
+
   updateZIndices () {
     let index = 0
     this.windows.forEach(window => {
@@ -670,32 +1200,164 @@ export default class Environment {
     this.bringToFront(window)
   }
 
-  onMouseMove (event) {
+  /**
+   * Whether the viewport is narrow enough for the mobile layout.
+   * @returns {boolean}
+   */
+  get isMobileLayout () {
+    return this.mobileQuery?.matches ?? false
+  }
+
+  /**
+   * Open a window full-screen and lock it in place for the mobile layout.
+   * @param {Window} window 
+   */
+  applyMobileLayout (window) {
+    window.movable = false
+    if (!window.isMaximized) {
+      window.maximize()
+      this.#mobileMaximized.add(window)
+    }
+  }
+
+  /**
+   * Switch every window in or out of the mobile layout as the viewport changes.
+   */
+  updateMobileLayout () {
+    this.windows.forEach(window => {
+      if (this.isMobileLayout) {
+        this.applyMobileLayout(window)
+        return
+      }
+      window.movable = true
+      if (this.#mobileMaximized.has(window)) {
+        this.#mobileMaximized.delete(window)
+        window.restoreDown()
+      }
+    })
+    this.saveState()
+  }
+
+  onPointerMove (event) {
     if (this.currentlyDragging) {
       this.currentlyDragging.drag(event)
     }
   }
 
-  onMouseUp (event) {
+  onPointerUp (event) {
     if (this.currentlyDragging) {
       this.currentlyDragging.dragEnd(event)
       this.currentlyDragging = null
     }
   }
 
+  /**
+   * Schedule a save of the environment state.
+   * Writes are debounced, so the state is only collected once things settle.
+   */
   saveState () {
-    const state = {
-      windows: Array.from(this.windows.values()).map(window => ({
-        ...window.getState(),
-        className: window.constructor.name // Store the class name
-      }))
+    if (this.#restoring) return
+    this.store.save(() => this.collectState())
+  }
+
+  /**
+   * Collect the state of every open window and the desktop icon layout.
+   * @returns {SavedEnvironmentState}
+   */
+  collectState () {
+    return {
+      icons: this.desktop.getLayout(),
+      display: Object.keys(this.displayOverrides).length > 0 ? this.displayOverrides : null,
+      windows: Array.from(this.windows.values()).filter(window => window.persistent).map(window => {
+        const state = window.getState()
+        // Save the desktop geometry of windows only maximized by the mobile layout
+        if (this.#mobileMaximized.has(window) && state.restoreBounds) {
+          Object.assign(state, state.restoreBounds, { isMaximized: false, restoreBounds: null })
+        }
+        return { ...state, id: window.id }
+      })
     }
-    localStorage.setItem('windowEnvironmentState', JSON.stringify(state))
   }
 
+  /**
+   * Write the environment state immediately before the page unloads.
+   */
+  onBeforeUnload () {
+    this.saveState()
+    this.store.flush()
+  }
+
+  /**
+   * Load the saved window states from the store.
+   * @returns {Promise<SavedWindowState[]|null>} - The saved windows, or null if there is nothing usable
+   */
+  async loadSavedState () {
+    return this.#savedWindows(await this.store.load())
+  }
+
+  /**
+   * Pick the usable window states out of a saved environment state.
+   * @param {SavedEnvironmentState|null} state - The saved state
+   * @returns {SavedWindowState[]|null}
+   */
+  #savedWindows (state) {
+    if (!state || !Array.isArray(state.windows)) return null
+    return state.windows.filter(entry => entry && typeof entry === 'object')
+  }
+
+  /**
+   * Move the desktop icons to their saved positions, and re-create the saved windows in their saved z-order.
+   * Windows whose type is no longer registered, or fails to load, are restored as a plain Window.
+   * @returns {Promise<Window[]>} - The restored windows
+   */
+  async restoreState () {
+    const state = await this.store.load()
+    if (state?.icons) this.desktop.applyLayout(state.icons)
+    if (state?.display) {
+      this.displayOverrides = state.display
+      this.applyDisplay()
+    }
+
+    const saved = this.#savedWindows(state)
+    if (!saved) return []
+
+    const restored = []
+    saved.sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+
+    this.#restoring = true
+    try {
+      for (const { id, type = 'Window', events, ...config } of saved) {
+        let WindowClass = Window
+        try {
+          WindowClass = await this.windowTypes.load(type)
+        } catch (err) {
+          console.warn(`>> ${type} window type can't be loaded - restoring as Window:`, err)
+        }
+
+        try {
+          const win = this.createWindow(id || crypto.randomUUID(), WindowClass, config)
+          this.pinWindow(win)
+          restored.push(win)
+        } catch (err) {
+          console.error(`Failed to restore window ${id}:`, err)
+        }
+      }
+    } finally {
+      this.#restoring = false
+    }
+
+    this.updateZIndices()
+    this.saveState()
+    return restored
+  }
+
+  /**
+   * Remove the saved environment state.
+   * @returns {Promise<void>}
+   */
   clearSavedState () {
-    localStorage.removeItem('windowEnvironmentState')
+    return this.store.clear()
   }
 
 
-}
+}
\ No newline at end of file
@@ -0,0 +1,33 @@
+/** @type {number} - Longest gap between the taps of a double-tap, in ms */
+const DOUBLE_TAP_DELAY = 300
+
+/** @type {number} - How far a pointer may move and still count as a tap, in px */
+const TAP_SLOP = 10
+
+/**
+ * Call a handler when an element is double-tapped with a touch or pen pointer.
+ * Mouse pointers are left to the native dblclick event.
+ * @param {HTMLElement} element - The element to listen on
+ * @param {function(PointerEvent): void} handler - Called on the second tap
+ * @returns {Function} - Removes the listener
+ */
+export function onDoubleTap (element, handler) {
+  let lastTap = null
+
+  const onPointerUp = event => {
+    if (event.pointerType === 'mouse') return
+
+    const now = event.timeStamp
+    if (lastTap &&
+        now - lastTap.time <= DOUBLE_TAP_DELAY &&
+        Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) <= TAP_SLOP) {
+      lastTap = null
+      handler(event)
+      return
+    }
+    lastTap = { time: now, x: event.clientX, y: event.clientY }
+  }
+
+  element.addEventListener('pointerup', onPointerUp)
+  return () => element.removeEventListener('pointerup', onPointerUp)
+}
@@ -0,0 +1,317 @@
+/** @import {WindowConfig} from './Windows/window.js' */
+/** @import {StartMenuEntry} from './StartMenu.js' */
+/** @import {WallpaperMode} from './themes.js' */
+import {WALLPAPER_MODES, getTheme} from './themes.js'
+
+/**
+ * A window preset: a WindowConfig, plus the registered name of the class it opens as.
+ * @typedef {WindowConfig & {class?: string}} WindowPreset
+ */
+
+/**
+ * A desktop icon, opening a window preset or an external link.
+ * @typedef {Object} ManifestIcon
+ * @property {string} title - The icon label
+ * @property {string} image - Path to the icon image
+ * @property {string} [onhover] - Path to the image shown while hovered. Defaults to image
+ * @property {number} [x] - The x-coordinate in px
+ * @property {number} [y] - The y-coordinate in px
+ * @property {string} [config] - Name of the window preset to open
+ * @property {string} [href] - External link to open in a new tab
+ */
+
+/**
+ * A pinned taskbar launcher, opening a window preset or an external link.
+ * @typedef {Object} ManifestLauncher
+ * @property {string} title - The button text
+ * @property {string} [id] - Unique launcher id. Defaults to the lowercased title
+ * @property {string} [config] - Name of the window preset to open
+ * @property {string} [href] - External link to open in a new tab
+ */
+
+/**
+ * A wallpaper offered in Display Properties.
+ * @typedef {Object} ManifestWallpaper
+ * @property {string} label - Name shown in the list
+ * @property {string} url - Path to the image
+ */
+
+/**
+ * The default look of the desktop, until the user picks their own in Display Properties.
+ * @typedef {Object} ManifestTheme
+ * @property {string} [name] - Name of a registered theme. Defaults to 'win98'
+ * @property {string|null} [wallpaper] - Path to the desktop wallpaper
+ * @property {WallpaperMode} [wallpaperMode] - How the wallpaper fills the desktop. Defaults to 'stretch'
+ * @property {number} [fontSize] - Font size in px. Defaults to 11
+ * @property {ManifestWallpaper[]} [wallpapers] - Wallpapers offered in Display Properties
+ */
+
+/**
+ * A window opened on boot: a preset name, or a preset name with config overrides.
+ * @typedef {string|(WindowConfig & {config: string})} BootWindow
+ */
+
+/**
+ * The whole desktop, as loaded from JSON.
+ * @typedef {Object} DesktopManifest
+ * @property {number} [version] - Manifest format version. Defaults to 1
+ * @property {ManifestTheme} [theme] - Colours and background
+ * @property {Object.<string, WindowPreset>} [windows] - Window presets by name, opened by the other sections
+ * @property {ManifestIcon[]} [icons] - Desktop icons
+ * @property {ManifestLauncher[]} [launchers] - Pinned taskbar launchers
+ * @property {StartMenuEntry[]} [startMenu] - The start menu entry tree
+ * @property {BootWindow[]} [boot] - Windows opened when there's no saved session to restore
+ */
+
+/**
+ * @typedef {Object} ManifestProblem
+ * @property {string} path - Where in the manifest the problem is, e.g. 'icons[2].config'
+ * @property {string} message - What's wrong
+ */
+
+/** @type {number} - The manifest format version this module reads */
+const MANIFEST_VERSION = 1
+
+/** @type {string[]} - Fields of the manifest root */
+const ROOT_FIELDS = ['$schema', 'version', 'theme', 'windows', 'icons', 'launchers', 'startMenu', 'boot']
+
+/** @type {string[]} - Fields of the theme */
+const THEME_FIELDS = ['name', 'wallpaper', 'wallpaperMode', 'fontSize', 'wallpapers']
+
+/** @type {Object.<string, string>} - Types of the window config fields the manifest checks */
+const WINDOW_FIELD_TYPES = {
+  class: 'string',
+  title: 'string',
+  content: 'string',
+  initialURL: 'string',
+  contentMode: 'string',
+  sandbox: 'string',
+  route: 'string',
+  width: 'number',
+  height: 'number',
+  x: 'number',
+  y: 'number',
+  minWidth: 'number',
+  minHeight: 'number',
+  maxWidth: 'number',
+  maxHeight: 'number',
+  aspectRatio: 'number',
+  resizable: 'boolean',
+  toolbar: 'boolean',
+  styles: 'object'
+}
+
+/**
+ * An invalid manifest, with every problem found in it.
+ * @class ManifestError
+ * @public
+ */
+export class ManifestError extends Error {
+  /**
+   * @param {ManifestProblem[]} problems - The problems found
+   */
+  constructor (problems) {
+    super(`Invalid desktop manifest:\n${problems.map(({ path, message }) => `  ${path || '(root)'}: ${message}`).join('\n')}`)
+    this.name = 'ManifestError'
+    /** @type {ManifestProblem[]} */
+    this.problems = problems
+  }
+}
+
+/**
+ * Extend a path with an object key or array index.
+ * @param {string} path - The path so far
+ * @param {string|number} key - The key or index
+ * @returns {string}
+ */
+function join (path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`
+  return path ? `${path}.${key}` : key
+}
+
+/**
+ * Name the type of a JSON value the way the error messages do.
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * Check a manifest, collecting every problem rather than stopping at the first.
+ * @param {*} manifest - The parsed JSON
+ * @param {Iterable<string>} classNames - The registered window class names
+ * @returns {ManifestProblem[]} - The problems found, empty if the manifest is valid
+ */
+export function validateManifest (manifest, classNames) {
+  /** @type {ManifestProblem[]} */
+  const problems = []
+  const classes = new Set(classNames)
+  const report = (path, message) => problems.push({ path, message })
+
+  const expect = (value, type, path) => {
+    if (typeOf(value) === type) return true
+    const expected = type === 'object' ? 'an object' : `a ${type}`
+    report(path, value === undefined ? `missing, expected ${expected}` : `expected ${expected}, got ${typeOf(value)}`)
+    return false
+  }
+
+  const unknownFields = (value, fields, path) => {
+    Object.keys(value)
+      .filter(key => !fields.includes(key))
+      .forEach(key => report(join(path, key), 'unknown field'))
+  }
+
+  // Every launchable item opens a window preset or a link, never both
+  const target = (item, path, presets) => {
+    if (item.config !== undefined && item.href !== undefined) {
+      report(path, 'has both a config and an href')
+    } else if (item.config !== undefined) {
+      if (expect(item.config, 'string', join(path, 'config')) && !presets.has(item.config)) {
+        report(join(path, 'config'), `no window preset named "${item.config}"`)
+      }
+    } else if (item.href !== undefined) {
+      expect(item.href, 'string', join(path, 'href'))
+    } else {
+      report(path, 'needs a config or an href')
+    }
+  }
+
+  const windowConfig = (config, path) => {
+    Object.entries(WINDOW_FIELD_TYPES).forEach(([field, type]) => {
+      if (config[field] !== undefined) expect(config[field], type, join(path, field))
+    })
+    if (typeof config.class === 'string' && !classes.has(config.class)) {
+      report(join(path, 'class'), `no window class registered as "${config.class}"`)
+    }
+    if (config.tracks !== undefined && expect(config.tracks, 'array', join(path, 'tracks'))) {
+      config.tracks.forEach((track, i) => {
+        const trackPath = join(join(path, 'tracks'), i)
+        if (!expect(track, 'object', trackPath)) return
+        expect(track.title, 'string', join(trackPath, 'title'))
+        expect(track.url, 'string', join(trackPath, 'url'))
+      })
+    }
+  }
+
+  const startMenuEntries = (entries, path, presets) => {
+    if (!expect(entries, 'array', path)) return
+    entries.forEach((entry, i) => {
+      const entryPath = join(path, i)
+      if (!expect(entry, 'object', entryPath)) return
+      if (entry.separator === true) return
+      if (!expect(entry.label, 'string', join(entryPath, 'label'))) return
+      if (entry.icon !== undefined) expect(entry.icon, 'string', join(entryPath, 'icon'))
+      if (entry.windowClass !== undefined && expect(entry.windowClass, 'string', join(entryPath, 'windowClass')) &&
+        !classes.has(entry.windowClass)) {
+        report(join(entryPath, 'windowClass'), `no window class registered as "${entry.windowClass}"`)
+      }
+      if (entry.children !== undefined) startMenuEntries(entry.children, join(entryPath, 'children'), presets)
+      else target(entry, entryPath, presets)
+    })
+  }
+
+  if (!expect(manifest, 'object', '')) return problems
+  unknownFields(manifest, ROOT_FIELDS, '')
+
+  if (manifest.version !== undefined && manifest.version !== MANIFEST_VERSION) {
+    report('version', `unsupported version ${JSON.stringify(manifest.version)}, expected ${MANIFEST_VERSION}`)
+  }
+
+  if (manifest.theme !== undefined && expect(manifest.theme, 'object', 'theme')) {
+    const theme = manifest.theme
+    unknownFields(theme, THEME_FIELDS, 'theme')
+    if (theme.name !== undefined && expect(theme.name, 'string', 'theme.name') && !getTheme(theme.name)) {
+      report('theme.name', `no theme registered as "${theme.name}"`)
+    }
+    if (theme.wallpaper !== undefined && theme.wallpaper !== null) expect(theme.wallpaper, 'string', 'theme.wallpaper')
+    if (theme.wallpaperMode !== undefined && !WALLPAPER_MODES.includes(theme.wallpaperMode)) {
+      report('theme.wallpaperMode', `expected one of ${WALLPAPER_MODES.join(', ')}, got ${JSON.stringify(theme.wallpaperMode)}`)
+    }
+    if (theme.fontSize !== undefined) expect(theme.fontSize, 'number', 'theme.fontSize')
+    if (theme.wallpapers !== undefined && expect(theme.wallpapers, 'array', 'theme.wallpapers')) {
+      theme.wallpapers.forEach((wallpaper, i) => {
+        const path = join('theme.wallpapers', i)
+        if (!expect(wallpaper, 'object', path)) return
+        expect(wallpaper.label, 'string', join(path, 'label'))
+        expect(wallpaper.url, 'string', join(path, 'url'))
+      })
+    }
+  }
+
+  const presets = new Set()
+  if (manifest.windows !== undefined && expect(manifest.windows, 'object', 'windows')) {
+    Object.entries(manifest.windows).forEach(([name, config]) => {
+      presets.add(name)
+      const path = join('windows', name)
+      if (expect(config, 'object', path)) windowConfig(config, path)
+    })
+  }
+
+  if (manifest.icons !== undefined && expect(manifest.icons, 'array', 'icons')) {
+    manifest.icons.forEach((icon, i) => {
+      const path = join('icons', i)
+      if (!expect(icon, 'object', path)) return
+      unknownFields(icon, ['title', 'image', 'onhover', 'x', 'y', 'config', 'href'], path)
+      expect(icon.title, 'string', join(path, 'title'))
+      expect(icon.image, 'string', join(path, 'image'))
+      if (icon.onhover !== undefined) expect(icon.onhover, 'string', join(path, 'onhover'))
+      if (icon.x !== undefined) expect(icon.x, 'number', join(path, 'x'))
+      if (icon.y !== undefined) expect(icon.y, 'number', join(path, 'y'))
+      target(icon, path, presets)
+    })
+  }
+
+  if (manifest.launchers !== undefined && expect(manifest.launchers, 'array', 'launchers')) {
+    manifest.launchers.forEach((launcher, i) => {
+      const path = join('launchers', i)
+      if (!expect(launcher, 'object', path)) return
+      unknownFields(launcher, ['title', 'id', 'config', 'href'], path)
+      expect(launcher.title, 'string', join(path, 'title'))
+      if (launcher.id !== undefined) expect(launcher.id, 'string', join(path, 'id'))
+      target(launcher, path, presets)
+    })
+  }
+
+  if (manifest.startMenu !== undefined) startMenuEntries(manifest.startMenu, 'startMenu', presets)
+
+  if (manifest.boot !== undefined && expect(manifest.boot, 'array', 'boot')) {
+    manifest.boot.forEach((boot, i) => {
+      const path = join('boot', i)
+      if (typeof boot === 'string') {
+        if (!presets.has(boot)) report(path, `no window preset named "${boot}"`)
+        return
+      }
+      if (!expect(boot, 'object', path)) return
+      if (expect(boot.config, 'string', join(path, 'config')) && !presets.has(boot.config)) {
+        report(join(path, 'config'), `no window preset named "${boot.config}"`)
+      }
+      windowConfig(boot, path)
+    })
+  }
+
+  return problems
+}
+
+/**
+ * Fetch and parse a manifest. It still has to be checked with validateManifest.
+ * @param {string} url - The manifest URL
+ * @param {typeof fetch} [fetch] - The fetch function it's loaded with. Defaults to the global fetch
+ * @returns {Promise<*>} - The parsed JSON
+ * @throws {ManifestError} - If the response isn't valid JSON
+ */
+export async function fetchManifest (url, fetch = globalThis.fetch) {
+  // Reloading should pick up edits, not a cached copy
+  const response = await fetch(url, { cache: 'no-store' })
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+  try {
+    return JSON.parse(await response.text())
+  } catch (err) {
+    throw new ManifestError([{ path: '', message: `not valid JSON: ${err.message}` }])
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * @typedef {Object} StorageBackend
+ * @property {function(string): Promise<string|null>} read - Read the raw value stored under a key
+ * @property {function(string, string): Promise<void>} write - Write a raw value under a key
+ * @property {function(string): Promise<void>} remove - Remove the value stored under a key
+ */
+
+/**
+ * @typedef {Object} StateStoreConfig
+ * @property {string} key - The key the state is stored under
+ * @property {number} version - The current schema version of the state
+ * @property {StorageBackend} [backend] - Where the state is stored. Defaults to localStorage
+ * @property {number} [debounce] - How long to wait after the last save before writing, in ms
+ */
+
+/**
+ * Storage backend for the synchronous Web Storage API (localStorage, sessionStorage).
+ * @class WebStorageBackend
+ * @public
+ */
+export class WebStorageBackend {
+  /**
+   * @param {Storage} storage - localStorage or sessionStorage
+   */
+  constructor (storage = globalThis.localStorage) {
+    this.storage = storage
+  }
+
+  async read (key) {
+    return this.storage.getItem(key)
+  }
+
+  async write (key, value) {
+    this.storage.setItem(key, value)
+  }
+
+  async remove (key) {
+    this.storage.removeItem(key)
+  }
+}
+
+/**
+ * Storage backend that keeps everything in memory. Useful as a stand-in for tests.
+ * @class MemoryBackend
+ * @public
+ */
+export class MemoryBackend {
+  /**
+   * @private
+   * @type {Map<string, string>}
+   */
+  #data = new Map()
+
+  async read (key) {
+    return this.#data.has(key) ? this.#data.get(key) : null
+  }
+
+  async write (key, value) {
+    this.#data.set(key, value)
+  }
+
+  async remove (key) {
+    this.#data.delete(key)
+  }
+}
+
+/**
+ * Storage backend for IndexedDB, storing each key in a single object store.
+ * @class IndexedDBBackend
+ * @public
+ */
+export class IndexedDBBackend {
+  /**
+   * @private
+   * @type {Promise<IDBDatabase>|null}
+   */
+  #db = null
+
+  /**
+   * @param {string} [dbName] - The database name
+   * @param {string} [storeName] - The object store name
+   */
+  constructor (dbName = 'devinci-cloud', storeName = 'state') {
+    this.dbName = dbName
+    this.storeName = storeName
+  }
+
+  /**
+   * Open the database, creating the object store on first use.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  #open () {
+    if (!this.#db) {
+      this.#db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.#db
+  }
+
+  /**
+   * Run a single request against the object store.
+   * @private
+   * @param {IDBTransactionMode} mode - The transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request
+   * @returns {Promise<*>} - The request result
+   */
+  async #request (mode, makeRequest) {
+    const db = await this.#open()
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(this.storeName, mode).objectStore(this.storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async read (key) {
+    const value = await this.#request('readonly', store => store.get(key))
+    return value ?? null
+  }
+
+  async write (key, value) {
+    await this.#request('readwrite', store => store.put(value, key))
+  }
+
+  async remove (key) {
+    await this.#request('readwrite', store => store.delete(key))
+  }
+}
+
+/**
+ * Versioned, debounced persistence for a single JSON state object.
+ * The schema version is stamped onto the saved state, and registered migrations
+ * bring state saved under an older version up to date when it is loaded.
+ * @class StateStore
+ * @public
+ */
+export default class StateStore {
+  /**
+   * @private
+   * @type {string}
+   */
+  #key
+
+  /**
+   * @private
+   * @type {StorageBackend}
+   */
+  #backend
+
+  /**
+   * Migrations by the version they migrate from.
+   * @private
+   * @type {Map<number, function(object): object>}
+   */
+  #migrations = new Map()
+
+  /**
+   * @private
+   * @type {number}
+   */
+  #debounce
+
+  /**
+   * @private
+   * @type {number|null} - Pending write timeout ID
+   */
+  #timeout = null
+
+  /**
+   * @private
+   * @type {object|Function|null} - The state, or a function producing it, waiting to be written
+   */
+  #pending = null
+
+  /**
+   * @param {StateStoreConfig} config - The store configuration
+   */
+  constructor ({
+    key,
+    version,
+    backend = new WebStorageBackend(),
+    debounce = 250
+  }) {
+    this.#key = key
+    this.version = version
+    this.#backend = backend
+    this.#debounce = debounce
+  }
+
+  /**
+   * Register a migration from one schema version to the next.
+   * @param {number} fromVersion - The version the migration upgrades from
+   * @param {function(object): object} migrate - Returns the state in the format of fromVersion + 1
+   */
+  registerMigration (fromVersion, migrate) {
+    this.#migrations.set(fromVersion, migrate)
+  }
+
+  /**
+   * Load the saved state, migrating it to the current version.
+   * Corrupt state, state from a newer version or state that can't be migrated is discarded,
+   * and storage that can't be read is treated as empty.
+   * @returns {Promise<object|null>} - The saved state, or null if there is nothing usable
+   */
+  async load () {
+    let raw
+    try {
+      raw = await this.#backend.read(this.#key)
+    } catch (err) {
+      // Storage can be blocked by the browser's privacy settings, or fail to open
+      console.error(`Failed to read saved state "${this.#key}":`, err)
+      return null
+    }
+    if (!raw) return null
+
+    let state
+    try {
+      state = JSON.parse(raw)
+    } catch (err) {
+      console.error(`Failed to parse saved state "${this.#key}":`, err)
+      await this.#discard()
+      return null
+    }
+
+    if (!state || typeof state !== 'object') {
+      await this.#discard()
+      return null
+    }
+
+    // State saved before versioning is treated as version 0
+    let { version = 0, ...data } = state
+
+    while (version < this.version) {
+      const migrate = this.#migrations.get(version)
+      if (!migrate) {
+        console.warn(`No migration for saved state "${this.#key}" from version ${version} - discarding`)
+        await this.#discard()
+        return null
+      }
+
+      try {
+        data = migrate(data)
+      } catch (err) {
+        console.error(`Failed to migrate saved state "${this.#key}" from version ${version}:`, err)
+        await this.#discard()
+        return null
+      }
+      version++
+    }
+
+    if (version !== this.version) {
+      console.warn(`Saved state "${this.#key}" has unsupported version ${version} - discarding`)
+      await this.#discard()
+      return null
+    }
+
+    return data
+  }
+
+  /**
+   * Schedule a write of the state. Repeated saves within the debounce delay are
+   * collapsed into one write of the latest state.
+   * @param {object|function(): object} state - The state, or a function producing it at write time
+   */
+  save (state) {
+    this.#pending = state
+    if (this.#timeout !== null) clearTimeout(this.#timeout)
+    this.#timeout = setTimeout(() => this.flush(), this.#debounce)
+  }
+
+  /**
+   * Write any pending state immediately.
+   * @returns {Promise<void>}
+   */
+  async flush () {
+    if (this.#timeout !== null) {
+      clearTimeout(this.#timeout)
+      this.#timeout = null
+    }
+    if (this.#pending === null) return
+
+    const pending = this.#pending
+    this.#pending = null
+    const state = typeof pending === 'function' ? pending() : pending
+
+    try {
+      await this.#backend.write(this.#key, JSON.stringify({ ...state, version: this.version }))
+    } catch (err) {
+      console.error(`Failed to write saved state "${this.#key}":`, err)
+    }
+  }
+
+  /**
+   * Cancel any pending write and remove the saved state.
+   * @returns {Promise<void>}
+   */
+  async clear () {
+    if (this.#timeout !== null) {
+      clearTimeout(this.#timeout)
+      this.#timeout = null
+    }
+    this.#pending = null
+    await this.#backend.remove(this.#key)
+  }
+
+  /**
+   * Remove saved state that can't be used. Failing to remove it is only reported,
+   * as load treats it as empty either way.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #discard () {
+    try {
+      await this.clear()
+    } catch (err) {
+      console.error(`Failed to remove saved state "${this.#key}":`, err)
+    }
+  }
+}
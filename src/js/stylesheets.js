@@ -0,0 +1,180 @@
+/**
+ * A stylesheet shared between shadow roots. `sheet` is null where constructable stylesheets
+ * aren't supported, and the text is added to each root as a style element instead.
+ * @typedef {{text: string, sheet: CSSStyleSheet|null}} SharedStylesheet
+ */
+
+/** @type {string} - Where 98.css is loaded from when the page doesn't link it */
+const BASE_STYLESHEET_URL = 'https://unpkg.com/98.css'
+
+/**
+ * @type {Map<string, Promise<SharedStylesheet|null>>} - Stylesheets by URL, or by their text for inline styles
+ */
+const cache = new Map()
+
+/** @type {RegExp} - A compound selector of the document element or body, capturing what follows its name */
+const DOCUMENT_COMPOUND = /^(?::root|html|body)(?![\w-])(.*)$/is
+
+/**
+ * Split text at the characters that match a test, outside brackets, parentheses and strings.
+ * @param {string} text - The text to split
+ * @param {function(string): boolean} isSeparator - Whether a character separates parts
+ * @returns {{parts: string[], separators: string[]}} - The parts, and the separators between them
+ */
+function splitTopLevel (text, isSeparator) {
+  const parts = ['']
+  const separators = []
+  let depth = 0
+  let quote = null
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(' || char === '[') {
+      depth++
+    } else if (char === ')' || char === ']') {
+      depth--
+    } else if (depth === 0 && isSeparator(char)) {
+      // Runs of separators, such as ' > ', are kept together
+      if (parts[parts.length - 1] === '' && parts.length > 1) separators[separators.length - 1] += char
+      else {
+        separators.push(char)
+        parts.push('')
+      }
+      continue
+    }
+    parts[parts.length - 1] += char
+  }
+  return { parts, separators }
+}
+
+/**
+ * Point the leading html, body and :root compounds of a selector at the shadow host.
+ * `html body p` becomes `:host p`, and `body.dark` becomes `:host(.dark)`.
+ * @param {string} selector - One selector of a selector list
+ * @returns {string}
+ */
+function scopeSelector (selector) {
+  const leading = selector.match(/^\s*/)[0]
+  const { parts, separators } = splitTopLevel(selector.trim(), char => /[\s>+~]/.test(char))
+
+  let conditions = ''
+  let pseudoElement = ''
+  let count = 0
+  while (count < parts.length) {
+    const match = parts[count].match(DOCUMENT_COMPOUND)
+    if (!match) break
+    // Only descendants and children of the document compounds are in the host
+    if (count > 0 && /[+~]/.test(separators[count - 1])) break
+    const split = match[1].indexOf('::')
+    conditions += split === -1 ? match[1] : match[1].slice(0, split)
+    if (split !== -1) pseudoElement = match[1].slice(split)
+    count++
+  }
+  if (count === 0) return selector
+
+  const host = `:host${conditions ? `(${conditions})` : ''}${pseudoElement}`
+  const rest = parts.slice(count).map((part, index) => separators[count - 1 + index] + part).join('')
+  return leading + host + rest + selector.match(/\s*$/)[0]
+}
+
+/**
+ * Point document level selectors at the shadow host, so page styles for
+ * :root, html and body apply to the window content instead of matching nothing.
+ * @param {string} text - The stylesheet text
+ * @returns {string}
+ */
+export function scopeToHost (text) {
+  // The prelude of each rule, between the end of the last rule or declaration and its opening brace
+  return text.replace(/(^|[{};])([^{};]*)(?=\{)/g, (match, start, prelude) => {
+    if (prelude.trim().startsWith('@')) return match
+    return start + splitTopLevel(prelude, char => char === ',').parts.map(scopeSelector).join(',')
+  })
+}
+
+/**
+ * Build a shared stylesheet from its text.
+ * @param {string} text - The stylesheet text, already scoped
+ * @returns {SharedStylesheet}
+ */
+function createStylesheet (text) {
+  let sheet = null
+  if (typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype) {
+    sheet = new CSSStyleSheet()
+    sheet.replaceSync(text)
+  }
+  return { text, sheet }
+}
+
+/**
+ * Get the shared stylesheet for inline style text.
+ * @param {string} text - The contents of a style element
+ * @returns {Promise<SharedStylesheet>}
+ */
+export function stylesheetFromText (text) {
+  const key = `inline:${text}`
+  if (!cache.has(key)) cache.set(key, Promise.resolve(createStylesheet(scopeToHost(text))))
+  return cache.get(key)
+}
+
+/**
+ * Fetch the text of a stylesheet.
+ * @param {string} url - The stylesheet URL
+ * @returns {Promise<string>}
+ */
+async function fetchText (url) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+  return response.text()
+}
+
+/**
+ * Get the shared stylesheet for a URL, loading it the first time it's asked for.
+ * Failed loads aren't cached, so the next window tries again.
+ * @param {string} url - The stylesheet URL
+ * @param {function(string): Promise<string>} [load] - Loads the stylesheet text. Defaults to a plain fetch
+ * @returns {Promise<SharedStylesheet|null>} - The stylesheet, or null if it couldn't be loaded
+ */
+export function stylesheetFromURL (url, load = fetchText) {
+  if (!cache.has(url)) {
+    const loading = load(url)
+      .then(text => createStylesheet(scopeToHost(text)))
+      .catch(err => {
+        console.error(`Failed to load stylesheet ${url}:`, err)
+        cache.delete(url)
+        return null
+      })
+    cache.set(url, loading)
+  }
+  return cache.get(url)
+}
+
+/**
+ * Get the shared 98.css stylesheet, from the same URL the page links it from.
+ * @param {function(string): Promise<string>} [load] - Loads the stylesheet text. Defaults to a plain fetch
+ * @returns {Promise<SharedStylesheet|null>}
+ */
+export function baseStylesheet (load) {
+  const link = document.querySelector('link[rel="stylesheet"][href*="98.css"]')
+  return stylesheetFromURL(link?.href || BASE_STYLESHEET_URL, load)
+}
+
+/**
+ * Apply stylesheets to a shadow root, in order.
+ * @param {ShadowRoot} root - The shadow root
+ * @param {SharedStylesheet[]} stylesheets - The stylesheets
+ */
+export function adoptStylesheets (root, stylesheets) {
+  if ('adoptedStyleSheets' in root && stylesheets.every(stylesheet => stylesheet.sheet)) {
+    root.adoptedStyleSheets = stylesheets.map(stylesheet => stylesheet.sheet)
+    return
+  }
+
+  const styles = stylesheets.map(({ text }) => {
+    const style = document.createElement('style')
+    style.textContent = text
+    return style
+  })
+  root.prepend(...styles)
+}
@@ -0,0 +1,247 @@
+/**
+ * A colour palette for the desktop. Colours are CSS custom properties, set on the environment and
+ * on the content roots of its windows. Those named after 98.css's own properties re-colour its widgets too.
+ * @typedef {Object} Theme
+ * @property {string} name - Unique theme name
+ * @property {string} label - Name shown in Display Properties
+ * @property {Object.<string, string>} colors - Values of the colour properties, without the leading '--'
+ */
+
+/**
+ * How the wallpaper fills the desktop.
+ * @typedef {'tile'|'stretch'|'center'} WallpaperMode
+ */
+
+/**
+ * The user's display choices.
+ * @typedef {Object} DisplaySettings
+ * @property {string} theme - Name of the theme
+ * @property {string|null} wallpaper - URL of the wallpaper image, or null for none
+ * @property {WallpaperMode} wallpaperMode - How the wallpaper fills the desktop
+ * @property {number} fontSize - Font size of the desktop, windows and controls, in px
+ */
+
+/** @type {string} - Raised 3D border of buttons, menus and panels */
+export const RAISED_BEVEL = 'var(--border-raised-outer), var(--border-raised-inner)'
+
+/** @type {string} - Sunken 3D border of wells and pressed buttons */
+export const SUNKEN_BEVEL = 'var(--border-sunken-outer), var(--border-sunken-inner)'
+
+/** @type {WallpaperMode[]} - The wallpaper modes, the default first */
+export const WALLPAPER_MODES = ['stretch', 'tile', 'center']
+
+/** @type {number[]} - Font sizes offered in Display Properties, in px */
+export const FONT_SIZES = [11, 13, 15]
+
+/** @type {DisplaySettings} - Display settings used where nothing else sets them */
+export const DEFAULT_DISPLAY = {
+  theme: 'win98',
+  wallpaper: null,
+  wallpaperMode: 'stretch',
+  fontSize: 11
+}
+
+/**
+ * 98.css builds its borders from the colour properties where it declares them, on :root.
+ * They're declared again with each theme so they pick up its colours.
+ * @type {Object.<string, string>}
+ */
+const BORDERS = {
+  'border-raised-outer': 'inset -1px -1px var(--window-frame), inset 1px 1px var(--button-face)',
+  'border-raised-inner': 'inset -2px -2px var(--button-shadow), inset 2px 2px var(--button-highlight)',
+  'border-sunken-outer': 'inset -1px -1px var(--button-highlight), inset 1px 1px var(--window-frame)',
+  'border-sunken-inner': 'inset -2px -2px var(--button-face), inset 2px 2px var(--button-shadow)',
+  'border-window-outer': 'inset -1px -1px var(--window-frame), inset 1px 1px var(--button-face)',
+  'border-window-inner': 'inset -2px -2px var(--button-shadow), inset 2px 2px var(--button-highlight)',
+  'border-field': 'inset -1px -1px var(--button-highlight), inset 1px 1px var(--button-shadow), inset -2px -2px var(--button-face), inset 2px 2px var(--window-frame)'
+}
+
+/** @type {Object.<string, string>} - The classic Windows 98 colours every theme starts from */
+const CLASSIC_COLORS = {
+  'desktop-background': '#008080',
+  surface: '#c0c0c0',
+  'button-highlight': '#ffffff',
+  'button-face': '#dfdfdf',
+  'button-shadow': '#808080',
+  'window-frame': '#0a0a0a',
+  'dialog-blue': '#000080',
+  'dialog-blue-light': '#1084d0',
+  'dialog-gray': '#808080',
+  'dialog-gray-light': '#b5b5b5',
+  'link-blue': '#0000ff',
+  'text-color': '#000000',
+  'disabled-text': '#808080',
+  'field-background': '#ffffff',
+  highlight: '#000080',
+  'highlight-text': '#ffffff',
+  'titlebar-text': '#ffffff',
+  'taskbar-background': '#c0c0c0',
+  'taskbar-text': '#000000',
+  'tooltip-background': '#ffffe1',
+  'tooltip-text': '#000000',
+  'icon-text': '#ffffff',
+  'selection-overlay': 'rgba(0, 0, 128, 0.2)',
+  'selection-border': 'rgba(0, 0, 128, 0.6)',
+  'error-color': '#ff0000',
+  'progress-color': '#000080'
+}
+
+/**
+ * @type {Map<string, Theme>} - The registered themes by name
+ */
+const themes = new Map()
+
+/**
+ * Add a theme, replacing any theme of the same name.
+ * Colours it leaves out are taken from the classic Windows 98 theme.
+ * @param {Theme} theme - The theme
+ * @returns {Theme} - The registered theme, with every colour filled in
+ */
+export function registerTheme (theme) {
+  if (!theme?.name) throw new Error('Themes need a name')
+  const registered = {
+    name: theme.name,
+    label: theme.label || theme.name,
+    colors: { ...CLASSIC_COLORS, ...theme.colors }
+  }
+  themes.set(theme.name, registered)
+  return registered
+}
+
+/**
+ * Get a registered theme.
+ * @param {string} name - The theme name
+ * @returns {Theme|undefined}
+ */
+export function getTheme (name) {
+  return themes.get(name)
+}
+
+/**
+ * The registered themes, in the order they were registered.
+ * @returns {Theme[]}
+ */
+export function listThemes () {
+  return Array.from(themes.values())
+}
+
+/**
+ * The custom properties of a theme and font size, ready to set on an element.
+ * @param {Theme} theme - The theme
+ * @param {number} [fontSize] - The font size in px
+ * @returns {Object.<string, string>} - Property values by property name, with the leading '--'
+ */
+export function themeProperties (theme, fontSize = DEFAULT_DISPLAY.fontSize) {
+  const properties = {}
+  Object.entries({ ...theme.colors, ...BORDERS }).forEach(([name, value]) => {
+    properties[`--${name}`] = value
+  })
+  properties['--font-size'] = `${fontSize}px`
+  return properties
+}
+
+/**
+ * Build the stylesheet setting a theme's properties on the elements matching a selector.
+ * @param {string} selector - The elements to set them on
+ * @param {Theme} theme - The theme
+ * @param {number} [fontSize] - The font size in px
+ * @returns {string}
+ */
+export function themeCSS (selector, theme, fontSize) {
+  const declarations = Object.entries(themeProperties(theme, fontSize))
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n')
+  return `${selector} {\n${declarations}\n}`
+}
+
+/**
+ * The background styles showing a wallpaper the way its mode asks for.
+ * @param {string|null} wallpaper - The wallpaper URL, or null for none
+ * @param {WallpaperMode} mode - How the wallpaper fills the area
+ * @returns {{backgroundImage: string, backgroundRepeat: string, backgroundSize: string, backgroundPosition: string}}
+ */
+export function wallpaperStyle (wallpaper, mode) {
+  return {
+    backgroundImage: wallpaper ? `url('${wallpaper}')` : 'none',
+    backgroundRepeat: mode === 'tile' ? 'repeat' : 'no-repeat',
+    backgroundSize: mode === 'stretch' ? '100% 100%' : 'auto',
+    backgroundPosition: mode === 'center' ? 'center' : 'top left'
+  }
+}
+
+registerTheme({ name: 'win98', label: 'Windows Standard', colors: {} })
+
+registerTheme({
+  name: 'win95',
+  label: 'Windows 95',
+  colors: {
+    'dialog-blue-light': '#000080',
+    'dialog-gray-light': '#808080',
+    'progress-color': '#000080'
+  }
+})
+
+registerTheme({
+  name: 'dark',
+  label: 'Dark',
+  colors: {
+    'desktop-background': '#1b1b1f',
+    surface: '#3a3a3e',
+    'button-highlight': '#6b6b70',
+    'button-face': '#4d4d52',
+    'button-shadow': '#1f1f22',
+    'window-frame': '#000000',
+    'dialog-blue': '#24456e',
+    'dialog-blue-light': '#3f72a8',
+    'dialog-gray': '#3a3a3e',
+    'dialog-gray-light': '#57575c',
+    'link-blue': '#7ab8ff',
+    'text-color': '#e8e8e8',
+    'disabled-text': '#8a8a8f',
+    'field-background': '#26262a',
+    highlight: '#3f72a8',
+    'highlight-text': '#ffffff',
+    'titlebar-text': '#f0f0f0',
+    'taskbar-background': '#2d2d31',
+    'taskbar-text': '#e8e8e8',
+    'tooltip-background': '#45454a',
+    'tooltip-text': '#f0f0f0',
+    'selection-overlay': 'rgba(63, 114, 168, 0.25)',
+    'selection-border': 'rgba(122, 184, 255, 0.7)',
+    'error-color': '#e5484d',
+    'progress-color': '#3f72a8'
+  }
+})
+
+registerTheme({
+  name: 'high-contrast',
+  label: 'High Contrast Black',
+  colors: {
+    'desktop-background': '#000000',
+    surface: '#000000',
+    'button-highlight': '#ffffff',
+    'button-face': '#c0c0c0',
+    'button-shadow': '#808080',
+    'window-frame': '#ffffff',
+    'dialog-blue': '#800080',
+    'dialog-blue-light': '#800080',
+    'dialog-gray': '#008000',
+    'dialog-gray-light': '#008000',
+    'link-blue': '#ffff00',
+    'text-color': '#ffffff',
+    'disabled-text': '#00ff00',
+    'field-background': '#000000',
+    highlight: '#800080',
+    'highlight-text': '#ffffff',
+    'titlebar-text': '#ffffff',
+    'taskbar-background': '#000000',
+    'taskbar-text': '#ffffff',
+    'tooltip-background': '#000000',
+    'tooltip-text': '#ffffff',
+    'icon-text': '#ffffff',
+    'selection-overlay': 'rgba(128, 0, 128, 0.35)',
+    'selection-border': '#ffffff',
+    'error-color': '#ffff00',
+    'progress-color': '#800080'
+  }
+})
@@ -1,27 +1,39 @@
-// Event emitter for window events
-class TimerEventEmitter {
-  constructor () {
-    this.listeners = {}
-  }
+import EventEmitter from './EventEmitter.js'
 
-  on (event, callback) {
-    if (!this.listeners[event]) {
-      this.listeners[event] = []
-    }
-    this.listeners[event].push(callback)
-  }
+/**
+ * What a timer counts.
+ * - countdown: down from a duration to zero
+ * - stopwatch: up from zero until it's stopped
+ * - repeat: down from an interval over and over, counting laps
+ * - alarm: down to a time of day or date
+ * @typedef {'countdown'|'stopwatch'|'repeat'|'alarm'} TimerMode
+ */
 
-  emit (event, data) {
-    if (this.listeners[event]) {
-      this.listeners[event].forEach(callback => callback(data))
-    }
-  }
-}
+/**
+ * How a timer's time is written out. 'seconds' and 'minutes' are the older names of 'ss' and 'mm:ss'.
+ * @typedef {'ss'|'mm:ss'|'hh:mm:ss'|'seconds'|'minutes'} TimeFormat
+ */
+
+/** @type {Object.<string, TimeFormat>} - The formats the older format names stand for */
+const FORMAT_ALIASES = { seconds: 'ss', minutes: 'mm:ss' }
+
+/** @type {number} - Default time between ticks, in ms */
+const DEFAULT_TICK_RATE = 100
 
 /**
- * A robust timer class for handling countdown functionality.
+ * A robust timer for countdowns, stopwatches, repeating intervals and alarms.
+ * Time is measured from performance.now() rather than counted in ticks, so it stays right
+ * when the browser throttles the tab. Alarms are measured against the clock instead,
+ * so they fire at the right time of day even after the computer sleeps.
+ * @fires Timer#start
+ * @fires Timer#tick
+ * @fires Timer#lap
+ * @fires Timer#pause
+ * @fires Timer#resume
+ * @fires Timer#complete
+ * @fires Timer#reset
  */
-export default class Timer extends TimerEventEmitter {
+export default class Timer extends EventEmitter {
   /**
    * @type {number|null} - Timer interval ID
    * @private
@@ -29,23 +41,53 @@ export default class Timer extends TimerEventEmitter {
   #intervalId = null
 
   /**
-   * @type {number} - Remaining time in milliseconds
+   * @type {TimerMode} - What the timer counts
    * @private
    */
-  #remainingTime = 0
+  #mode = 'countdown'
 
   /**
-   * @type {number} - Initial duration in milliseconds (for reset)
+   * @type {number} - The countdown duration, repeat interval or time until the alarm, in ms
    * @private
    */
   #initialDuration = 0
 
+  /**
+   * @type {number} - Time counted before the timer was last started or resumed, in ms
+   * @private
+   */
+  #elapsedBefore = 0
+
+  /**
+   * @type {number} - performance.now() when the timer was last started or resumed
+   * @private
+   */
+  #resumedAt = 0
+
+  /**
+   * @type {number|null} - Date.now() the alarm goes off at
+   * @private
+   */
+  #alarmTime = null
+
+  /**
+   * @type {number} - Laps a repeating timer runs before it completes
+   * @private
+   */
+  #lapLimit = Infinity
+
   /**
    * @type {boolean} - Pause state
    * @private
    */
   #isPaused = false
 
+  /**
+   * @type {boolean} - Whether the timer is stopped, with no time left, as it is before it starts and once it completes
+   * @private
+   */
+  #isStopped = true
+
   /**
    * @type {Function|null} - Callback for timer completion
    * @private
@@ -63,17 +105,64 @@ export default class Timer extends TimerEventEmitter {
    * @param {object} onComplete - Timer config object.
    * @param {Function} onComplete.onComplete - Callback for timer completion
    * @param {Function} onComplete.onReset - Callback for timer reset
-   * @param {string} onComplete.format - Time format ('seconds' or 'minutes')
+   * @param {TimeFormat} onComplete.format - How getFormattedTime() writes the time out
+   * @param {number} onComplete.tickRate - Time between ticks, in ms
    */
   constructor ({
     onComplete = null,
     onReset = null,
-    format = 'seconds'
+    format = 'ss',
+    tickRate = DEFAULT_TICK_RATE
   } = {}) {
     super()
     this.#onComplete = onComplete
     this.#onReset = onReset
-    this.format = format
+    /** @type {TimeFormat} */
+    this.format = FORMAT_ALIASES[format] || format
+    this.tickRate = tickRate
+    /** @type {number} - Laps completed by a repeating timer */
+    this.laps = 0
+  }
+
+  /**
+   * Write a number of seconds out in a format.
+   * The largest unit isn't wrapped, so 90 seconds is '90' as 'ss' and '01:30' as 'mm:ss'.
+   * @param {number} seconds - Whole seconds
+   * @param {TimeFormat} [format] - The format
+   * @returns {string}
+   */
+  static formatTime (seconds, format = 'ss') {
+    const total = Math.max(0, Math.floor(seconds))
+    const pad = value => String(value).padStart(2, '0')
+    switch (FORMAT_ALIASES[format] || format) {
+      case 'hh:mm:ss':
+        return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`
+      case 'mm:ss':
+        return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`
+      case 'ss':
+        return pad(total)
+      default:
+        throw new Error(`Unknown time format ${format}`)
+    }
+  }
+
+  /**
+   * The next time a clock time comes round: today if it's still ahead, tomorrow otherwise.
+   * @param {string} time - The time as 'HH:MM' or 'HH:MM:SS', in 24 hour time
+   * @param {Date} [from] - The time to look from
+   * @returns {Date}
+   * @throws {Error} If the time can't be read
+   */
+  static nextOccurrence (time, from = new Date()) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time.trim())
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+      throw new Error(`Invalid time ${time}, expected HH:MM or HH:MM:SS`)
+    }
+
+    const next = new Date(from)
+    next.setHours(Number(match[1]), Number(match[2]), Number(match[3] || 0), 0)
+    if (next <= from) next.setDate(next.getDate() + 1)
+    return next
   }
 
   /**
@@ -85,47 +174,83 @@ export default class Timer extends TimerEventEmitter {
     if (!duration || duration <= 0) {
       throw new Error('Duration must be a positive number')
     }
-    if (this.#intervalId !== null) {
-      throw new Error('Timer is already running')
-    }
+    this.#begin('countdown', duration * 1000)
+  }
 
-    this.#initialDuration = duration * 1000
-    this.#remainingTime = this.#initialDuration
-    this.#isPaused = false
+  /**
+   * Starts counting up from zero, until the timer is stopped.
+   * @throws {Error} If the timer is already running
+   */
+  startStopwatch () {
+    this.#begin('stopwatch', 0)
+  }
 
-    this.#startInterval()
+  /**
+   * Starts counting down from an interval over and over, emitting 'lap' each time it runs out.
+   * @param {number} interval - Length of each lap in seconds
+   * @param {number} [laps] - Laps to run before completing. Defaults to running until stopped
+   * @throws {Error} If the interval or lap count is invalid, or the timer is already running
+   */
+  repeat (interval, laps = Infinity) {
+    if (!interval || interval <= 0) {
+      throw new Error('Interval must be a positive number')
+    }
+    if (!(laps >= 1)) {
+      throw new Error('Laps must be at least 1')
+    }
+    this.#begin('repeat', interval * 1000, { laps })
   }
 
   /**
-   * Stops and resets the timer.
+   * Starts counting down to a time, completing when the clock reaches it.
+   * @param {Date|number|string} time - A Date, a timestamp in ms, or a time of day as 'HH:MM' or 'HH:MM:SS' for its next occurrence
+   * @throws {Error} If the time is invalid or has passed, or the timer is already running
    */
-  stop () {
-    if (this.#intervalId) {
-      clearInterval(this.#intervalId)
-      this.#intervalId = null
+  at (time) {
+    const target = typeof time === 'string' ? Timer.nextOccurrence(time).getTime() : new Date(time).getTime()
+    if (Number.isNaN(target)) {
+      throw new Error(`Invalid time ${time}`)
     }
-    this.#remainingTime = 0
+    const delay = target - Date.now()
+    if (delay <= 0) {
+      throw new Error('The time has already passed')
+    }
+    this.#begin('alarm', delay, { alarmTime: target })
+  }
+
+  /**
+   * Stops the timer. The time elapsed and the laps run are kept until it's reset or started again.
+   */
+  stop () {
+    this.#elapsedBefore = this.#elapsed()
+    this.#clearInterval()
     this.#isPaused = false
+    this.#isStopped = true
   }
 
   /**
-   * Resets the timer to its initial duration.
+   * Resets the timer to its initial duration. A paused timer stays paused, ready to resume from the start.
+   * Alarms keep their time - only the display of how long is left changes as the clock moves.
    * @param {boolean} [autostart] - Whether to automatically start the timer after reset
+   * @fires Timer#reset
    */
   reset (autostart = false) {
     const wasRunning = this.isRunning()
 
-    if (this.#intervalId) {
-      clearInterval(this.#intervalId)
-      this.#intervalId = null
-    }
-
-    this.#remainingTime = this.#initialDuration
-    this.#isPaused = false
+    this.#clearInterval()
+    this.#elapsedBefore = 0
+    this.#isPaused = this.#isPaused && !autostart
+    this.#isStopped = false
+    this.laps = 0
 
     if (this.#onReset) {
       this.#onReset(this.#initialDuration / 1000)
     }
+    /**
+     * @event Timer#reset
+     * @type {number} - The initial duration in seconds
+     */
+    this.emit('reset', this.#initialDuration / 1000)
 
     if (autostart || wasRunning) {
       this.#startInterval()
@@ -134,31 +259,77 @@ export default class Timer extends TimerEventEmitter {
 
   /**
    * Pauses the timer.
+   * Paused alarms still go off at their time - they complete on resume if it has passed.
+   * @fires Timer#pause
    */
   pause () {
     if (this.#intervalId && !this.#isPaused) {
-      clearInterval(this.#intervalId)
-      this.#intervalId = null
+      this.#elapsedBefore = this.#elapsed()
+      this.#clearInterval()
       this.#isPaused = true
+      /**
+       * @event Timer#pause
+       * @type {number} - The seconds shown
+       */
+      this.emit('pause', this.getDisplaySeconds())
     }
   }
 
   /**
    * Resumes the timer from a paused state.
+   * @fires Timer#resume
    */
   resume () {
     if (this.#isPaused) {
       this.#isPaused = false
+      /**
+       * @event Timer#resume
+       * @type {number} - The seconds shown
+       */
+      this.emit('resume', this.getDisplaySeconds())
       this.#startInterval()
     }
   }
 
   /**
-   * Gets the remaining time in seconds.
+   * What the timer counts.
+   * @returns {TimerMode}
+   */
+  getMode () {
+    return this.#mode
+  }
+
+  /**
+   * Gets the remaining time in seconds - of the countdown, the current lap or until the alarm.
+   * Stopwatches have no end, and return 0.
    * @returns {number} Remaining time in seconds
    */
   getTimeRemaining () {
-    return Math.ceil(this.#remainingTime / 1000)
+    return Math.ceil(this.#remaining() / 1000)
+  }
+
+  /**
+   * Gets the time counted since the timer started, leaving out time spent paused, in seconds.
+   * @returns {number}
+   */
+  getTimeElapsed () {
+    return Math.floor(this.#elapsed() / 1000)
+  }
+
+  /**
+   * The seconds a display of the timer shows: the time elapsed for stopwatches, and the time remaining otherwise.
+   * @returns {number}
+   */
+  getDisplaySeconds () {
+    return this.#mode === 'stopwatch' ? this.getTimeElapsed() : this.getTimeRemaining()
+  }
+
+  /**
+   * The display seconds, written out in the timer's format.
+   * @returns {string}
+   */
+  getFormattedTime () {
+    return Timer.formatTime(this.getDisplaySeconds(), this.format)
   }
 
   /**
@@ -169,6 +340,14 @@ export default class Timer extends TimerEventEmitter {
     return this.#initialDuration / 1000
   }
 
+  /**
+   * Gets the fraction of the duration left - of the countdown, the current lap or the wait for the alarm.
+   * @returns {number} From 1 when started down to 0 when complete. Always 0 for stopwatches
+   */
+  getProgress () {
+    return this.#initialDuration > 0 ? this.#remaining() / this.#initialDuration : 0
+  }
+
   /**
    * Checks if the timer is currently running.
    * @returns {boolean} True if timer is running
@@ -177,24 +356,139 @@ export default class Timer extends TimerEventEmitter {
     return this.#intervalId !== null && !this.#isPaused
   }
 
+  /**
+   * Checks if the timer is paused.
+   * @returns {boolean}
+   */
+  isPaused () {
+    return this.#isPaused
+  }
+
+  /**
+   * Start counting in a mode.
+   * @private
+   * @param {TimerMode} mode - The mode
+   * @param {number} duration - The countdown duration, repeat interval or time until the alarm, in ms
+   * @param {{laps?: number, alarmTime?: number|null}} [options] - The lap limit of a repeating timer, or the time of an alarm
+   * @fires Timer#start
+   */
+  #begin (mode, duration, { laps = Infinity, alarmTime = null } = {}) {
+    if (this.#intervalId !== null) {
+      throw new Error('Timer is already running')
+    }
+
+    this.#mode = mode
+    this.#lapLimit = laps
+    this.#alarmTime = alarmTime
+    this.#initialDuration = duration
+    this.#elapsedBefore = 0
+    this.#isPaused = false
+    this.#isStopped = false
+    this.laps = 0
+
+    /**
+     * @event Timer#start
+     * @type {TimerMode}
+     */
+    this.emit('start', mode)
+    this.#startInterval()
+  }
+
+  /**
+   * Time counted so far, in ms.
+   * @private
+   * @returns {number}
+   */
+  #elapsed () {
+    const running = this.#intervalId !== null && !this.#isPaused
+    return this.#elapsedBefore + (running ? performance.now() - this.#resumedAt : 0)
+  }
+
+  /**
+   * Time left, in ms.
+   * @private
+   * @returns {number}
+   */
+  #remaining () {
+    if (this.#isStopped) return 0
+    switch (this.#mode) {
+      case 'stopwatch':
+        return 0
+      case 'alarm':
+        return this.#alarmTime === null ? 0 : Math.max(0, this.#alarmTime - Date.now())
+      case 'repeat':
+        return this.#initialDuration - (this.#elapsed() % this.#initialDuration)
+      default:
+        return Math.max(0, this.#initialDuration - this.#elapsed())
+    }
+  }
+
   /**
    * @private
    */
   #startInterval () {
-    this.#intervalId = setInterval(() => {
-      if (!this.#isPaused) {
-        this.#remainingTime = Math.max(0, this.#remainingTime - 100)
-        const remainingSeconds = Math.ceil(this.#remainingTime / 1000)
-
-        this.emit('tick', remainingSeconds)
-
-        if (this.#remainingTime <= 0) {
-          this.stop()
-          if (this.#onComplete) {
-            this.#onComplete()
-          }
-        }
+    this.#resumedAt = performance.now()
+    this.#intervalId = setInterval(() => this.#tick(), this.tickRate)
+  }
+
+  /**
+   * @private
+   */
+  #clearInterval () {
+    if (this.#intervalId !== null) {
+      clearInterval(this.#intervalId)
+      this.#intervalId = null
+    }
+  }
+
+  /**
+   * Emit the time, then any laps run and the completion.
+   * @private
+   * @fires Timer#tick
+   * @fires Timer#lap
+   */
+  #tick () {
+    if (this.#isPaused) return
+
+    /**
+     * @event Timer#tick
+     * @type {number} - The seconds shown - remaining, or elapsed for stopwatches
+     */
+    this.emit('tick', this.getDisplaySeconds())
+
+    if (this.#mode === 'repeat') {
+      // A throttled tab can miss a few laps between ticks - each is still counted
+      const laps = Math.min(Math.floor(this.#elapsed() / this.#initialDuration), this.#lapLimit)
+      while (this.laps < laps) {
+        this.laps++
+        /**
+         * @event Timer#lap
+         * @type {number} - The number of laps completed
+         */
+        this.emit('lap', this.laps)
       }
-    }, 100)
+      if (this.laps >= this.#lapLimit) this.#complete()
+    } else if (this.#mode !== 'stopwatch' && this.#remaining() <= 0) {
+      this.#complete()
+    }
+  }
+
+  /**
+   * @private
+   * @fires Timer#complete
+   */
+  #complete () {
+    const laps = this.laps
+    this.stop()
+    /**
+     * @event Timer#complete
+     * @type {number} - The laps run, for repeating timers
+     */
+    this.emit('complete', laps)
+    if (this.#onComplete) {
+      this.#onComplete()
+    }
   }
 }
+
+export { Timer }
@@ -0,0 +1,175 @@
+/**
+ * Checks the page cache, revalidation, reloads, relative stylesheets, cancelled loads and the error page
+ * of fetched windows against a stub server. Run with `npm run test:fetch`.
+ */
+import {after, before, test} from 'node:test'
+import assert from 'node:assert/strict'
+import {createServer} from 'node:http'
+import {once} from 'node:events'
+import {JSDOM} from 'jsdom'
+
+/** @type {string} - The Last-Modified date of the stub pages */
+const MODIFIED = new Date(Date.UTC(2024, 0, 1)).toUTCString()
+
+/** @type {{method: string, url: string, headers: object}[]} - Requests the stub server has had */
+const requests = []
+
+/** @type {Set<import('node:http').ServerResponse>} - Responses to /slow that are still open */
+const hanging = new Set()
+
+let flakyFailures = 1
+
+const server = createServer((req, res) => {
+  requests.push({ method: req.method, url: req.url, headers: req.headers })
+  const page = title => `<html><head><title>${title}</title></head><body><p>${title} page</p></body></html>`
+
+  switch (req.url) {
+    case '/etag':
+      if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end()
+      return res.writeHead(200, { 'Content-Type': 'text/html', ETag: '"v1"' }).end(page('ETag'))
+    case '/modified':
+      if (req.headers['if-modified-since'] === MODIFIED) return res.writeHead(304).end()
+      return res.writeHead(200, { 'Content-Type': 'text/html', 'Last-Modified': MODIFIED }).end(page('Modified'))
+    case '/slow':
+      // Sends the headers and part of the page, then never finishes
+      hanging.add(res)
+      res.on('close', () => hanging.delete(res))
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Length': '1000' })
+      return res.write('<html><body>')
+    case '/styled/page':
+      return res.writeHead(200, { 'Content-Type': 'text/html' })
+        .end('<html><head><title>Styled</title><link rel="stylesheet" href="page.css"></head><body><p>Styled page</p></body></html>')
+    case '/styled/page.css':
+      return res.writeHead(200, { 'Content-Type': 'text/css' }).end('p { color: red; }')
+    case '/flaky':
+      if (flakyFailures-- > 0) return res.writeHead(500).end('Internal Server Error')
+      return res.writeHead(200, { 'Content-Type': 'text/html' }).end(page('Flaky'))
+    default:
+      return res.writeHead(404).end()
+  }
+})
+
+let base
+let FetchCache
+let Window
+
+before(async () => {
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  base = `http://127.0.0.1:${server.address().port}`
+
+  // Window renders into a DOM, so one is set up at the stub server's address
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: base, pretendToBeVisual: true })
+  for (const name of ['window', 'document', 'DOMParser', 'HTMLElement', 'Node', 'Event', 'MouseEvent', 'KeyboardEvent',
+    'getComputedStyle', 'requestAnimationFrame', 'location', 'history', 'navigator']) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true })
+  }
+
+  FetchCache = (await import('../src/js/FetchCache.js')).default
+  Window = (await import('../src/js/Windows/window.js')).default
+})
+
+after(() => {
+  hanging.forEach(res => res.destroy())
+  server.close()
+})
+
+/**
+ * Wait until a condition holds.
+ * @param {function(): boolean} condition - The condition
+ * @param {number} [timeout] - How long to wait, in ms
+ */
+async function waitFor (condition, timeout = 2000) {
+  const start = Date.now()
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for a condition')
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+/**
+ * Open a window showing a page of the stub server.
+ * @param {string} path - The page path
+ * @param {FetchCache} [fetchCache] - The cache it loads through. Defaults to one that always revalidates
+ * @returns {Window}
+ */
+function openWindow (path, fetchCache = new FetchCache({ cacheStorage: null, maxAge: 0 })) {
+  return new Window(`test-${path}`, {
+    title: 'Test',
+    initialURL: `${base}${path}`,
+    contentMode: 'inline',
+    fetchCache
+  })
+}
+
+test('stale pages are revalidated with their ETag', async () => {
+  const cache = new FetchCache({ cacheStorage: null, maxAge: 0 })
+  const first = await cache.getText(`${base}/etag`)
+  const second = await cache.getText(`${base}/etag`)
+
+  const sent = requests.filter(request => request.url === '/etag')
+  assert.equal(second, first)
+  assert.equal(sent.length, 2)
+  assert.equal(sent[0].headers['if-none-match'], undefined)
+  assert.equal(sent[1].headers['if-none-match'], '"v1"')
+})
+
+test('stale pages are revalidated with their Last-Modified date', async () => {
+  const cache = new FetchCache({ cacheStorage: null, maxAge: 0 })
+  const first = await cache.getText(`${base}/modified`)
+  const second = await cache.getText(`${base}/modified`)
+
+  const sent = requests.filter(request => request.url === '/modified')
+  assert.equal(second, first)
+  assert.equal(sent[1].headers['if-modified-since'], MODIFIED)
+})
+
+test('fresh pages are used without a request', async () => {
+  const cache = new FetchCache({ cacheStorage: null })
+  await cache.getText(`${base}/etag`)
+  const before = requests.length
+  await cache.getText(`${base}/etag`)
+  assert.equal(requests.length, before)
+})
+
+test('reloading a window revalidates a fresh page', async () => {
+  const win = openWindow('/etag', new FetchCache({ cacheStorage: null }))
+  await waitFor(() => win.contentArea.textContent.includes('ETag page'))
+  const before = requests.length
+
+  await win.reload()
+  assert.equal(requests.length, before + 1)
+  assert.equal(requests.at(-1).headers['if-none-match'], '"v1"')
+  assert.match(win.contentArea.textContent, /ETag page/)
+  win.destroy()
+})
+
+test('linked stylesheets are loaded relative to the page', async () => {
+  const win = openWindow('/styled/page')
+  await waitFor(() => win.contentArea.textContent.includes('Styled page'))
+  assert.ok(requests.some(request => request.url === '/styled/page.css'))
+  assert.match(win.contentArea.querySelector('style').textContent, /color: red/)
+  win.destroy()
+})
+
+test('closing a window cancels its load', async () => {
+  const win = openWindow('/slow')
+  await waitFor(() => hanging.size === 1)
+
+  win.destroy()
+  await waitFor(() => hanging.size === 0)
+  assert.equal(win.loadController, null)
+  assert.equal(win.contentArea.querySelector('.window-error-page'), null)
+})
+
+test('a failed load shows an error page that can retry it', async () => {
+  const win = openWindow('/flaky')
+  await waitFor(() => win.contentArea.querySelector('.window-error-page') !== null)
+  assert.match(win.contentArea.textContent, /status: 500/)
+
+  const retry = Array.from(win.contentArea.querySelectorAll('button')).find(button => button.textContent === 'Retry')
+  retry.click()
+  await waitFor(() => win.contentArea.textContent.includes('Flaky page'))
+  assert.equal(win.title, 'Flaky')
+  win.destroy()
+})